@@ -0,0 +1,508 @@
+// ============================================================================
+// Git operations for ws-server.js
+// ============================================================================
+//
+// Every operation takes the repository directory first, so it works on any
+// repository (ws-server.js passes its working directory), and runs git with an
+// argument array, never through a shell. Branch names and revisions are
+// checked before use and can't start with "-"; paths always follow "--" and
+// are literal (GIT_LITERAL_PATHSPECS), so no argument is taken as an option or
+// a glob.
+//
+// Failures are errors with a `code` from ws-server's ERROR_CODES:
+// INVALID_PAYLOAD, NOT_FOUND, ALREADY_EXISTS, CONFLICT, LIMIT_EXCEEDED or
+// COMMAND_FAILED (git itself failed; `stderr` and `exitCode` are attached).
+
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+
+// Output beyond this ends the command
+const MAX_GIT_OUTPUT = 20 * 1024 * 1024;
+const DEFAULT_LOG_LIMIT = 50;
+
+const GIT_ENV = {
+  ...process.env,
+  // Fail instead of waiting for a password
+  GIT_TERMINAL_PROMPT: '0',
+  GIT_LITERAL_PATHSPECS: '1',
+  // Messages in English, since some are matched below
+  LC_ALL: 'C',
+};
+
+// Field and record separators for --format output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+function createGitError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Run git with arguments in a repository. Resolves with { stdout, stderr,
+ * exitCode } when the exit code is one of `okExitCodes`; `input` goes to stdin.
+ */
+export function runGit(cwd, args, { input, okExitCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, env: GIT_ENV, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let tooLarge = false;
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (text) => {
+      stdout += text;
+      if (stdout.length > MAX_GIT_OUTPUT && !tooLarge) {
+        tooLarge = true;
+        child.kill();
+      }
+    });
+    child.stderr.on('data', (text) => {
+      stderr += text;
+    });
+    child.on('error', reject);
+    child.on('close', (exitCode) => {
+      if (tooLarge) {
+        reject(createGitError('LIMIT_EXCEEDED', 'git ' + args[0] + ' output is larger than ' + MAX_GIT_OUTPUT + ' bytes'));
+      } else if (okExitCodes.includes(exitCode)) {
+        resolve({ stdout, stderr, exitCode });
+      } else {
+        // git commit reports "nothing to commit" on stdout
+        const message = (stderr.trim() || stdout.trim() || 'git ' + args[0] + ' exited with code ' + exitCode).replace(/^(fatal|error): /, '');
+        reject(createGitError(getFailureCode(stderr), message, { stderr, exitCode }));
+      }
+    });
+    child.stdin.on('error', () => {
+      // git may exit before reading its input
+    });
+    child.stdin.end(input);
+  });
+}
+
+function getFailureCode(stderr) {
+  if (/already exists/.test(stderr)) return 'ALREADY_EXISTS';
+  if (/would be overwritten|CONFLICT|needs merge|unmerged/i.test(stderr)) return 'CONFLICT';
+  return 'COMMAND_FAILED';
+}
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+async function assertBranchName(cwd, name) {
+  if (typeof name !== 'string' || !name || name.startsWith('-')) {
+    throw createGitError('INVALID_PAYLOAD', 'Invalid branch name: ' + name);
+  }
+  try {
+    await runGit(cwd, ['check-ref-format', '--branch', name]);
+  } catch (error) {
+    throw createGitError('INVALID_PAYLOAD', 'Invalid branch name: ' + name);
+  }
+}
+
+// A revision (branch, tag, hash, HEAD~2, ...) that names a commit
+async function assertRevision(cwd, revision) {
+  if (typeof revision !== 'string' || !revision || revision.startsWith('-')) {
+    throw createGitError('INVALID_PAYLOAD', 'Invalid revision: ' + revision);
+  }
+  const { exitCode } = await runGit(cwd, ['rev-parse', '--verify', '--quiet', revision + '^{commit}'], { okExitCodes: [0, 1] });
+  if (exitCode !== 0) throw createGitError('NOT_FOUND', 'Unknown revision: ' + revision);
+}
+
+function toPaths(paths) {
+  const list = Array.isArray(paths) ? paths : [paths];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || !item)) {
+    throw createGitError('INVALID_PAYLOAD', 'Expected one or more paths');
+  }
+  return list;
+}
+
+async function hasCommits(cwd) {
+  const { exitCode } = await runGit(cwd, ['rev-parse', '--verify', '--quiet', 'HEAD'], { okExitCodes: [0, 1] });
+  return exitCode === 0;
+}
+
+// "a\303\244b" -> aäb, for paths git had to quote
+function unquotePath(quoted) {
+  if (!quoted.startsWith('"')) return quoted;
+  const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+  const bytes = [];
+  const body = quoted.slice(1, -1);
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i]));
+    } else if (/[0-7]/.test(body[i + 1])) {
+      bytes.push(parseInt(body.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]] ?? body.charCodeAt(i + 1));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// ============================================================================
+// Status
+// ============================================================================
+
+function getChangeType(code) {
+  if (code === '??') return 'untracked';
+  if (code.includes('U') || code === 'AA' || code === 'DD') return 'conflicted';
+  if (code.includes('A')) return 'added';
+  if (code.includes('D')) return 'deleted';
+  if (code.includes('R')) return 'renamed';
+  if (code.includes('C')) return 'copied';
+  return 'modified';
+}
+
+/**
+ * Branch, upstream, ahead/behind counts and changed files
+ */
+export async function getStatus(cwd) {
+  const { stdout } = await runGit(cwd, ['status', '--porcelain=v1', '-z', '--branch']);
+  const entries = stdout.split('\0');
+  const status = { branch: null, upstream: null, ahead: 0, behind: 0, changes: [] };
+
+  // ## main...origin/main [ahead 1, behind 2]
+  const header = entries[0]?.startsWith('## ') ? entries.shift().slice(3) : '';
+  const branchMatch = header.match(/^(?:No commits yet on |Initial commit on )?(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+  if (branchMatch && !branchMatch[1].startsWith('HEAD (')) {
+    status.branch = branchMatch[1];
+    status.upstream = branchMatch[2] || null;
+    status.ahead = Number(branchMatch[3]?.match(/ahead (\d+)/)?.[1] || 0);
+    status.behind = Number(branchMatch[3]?.match(/behind (\d+)/)?.[1] || 0);
+  }
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    const code = entry.substring(0, 2);
+    const change = { file: entry.substring(3), status: code, type: getChangeType(code) };
+    // Renames and copies are followed by the path they came from
+    if (code[0] === 'R' || code[0] === 'C') change.oldFile = entries[++i];
+    change.staged = code[0] !== ' ' && code[0] !== '?';
+    change.unstaged = code[1] !== ' ';
+    status.changes.push(change);
+  }
+  return status;
+}
+
+// ============================================================================
+// Branches
+// ============================================================================
+
+/**
+ * Local branches, and remote-tracking ones with `remotes: true`
+ */
+export async function listBranches(cwd, { remotes = false } = {}) {
+  const format = ['%(refname)', '%(refname:short)', '%(objectname)', '%(upstream:short)', '%(upstream:track,nobracket)', '%(committerdate:iso-strict)', '%(contents:subject)'].join('%1f');
+  const { stdout } = await runGit(cwd, ['for-each-ref', '--format=' + format, 'refs/heads', ...(remotes ? ['refs/remotes'] : [])]);
+  const { stdout: head } = await runGit(cwd, ['symbolic-ref', '--quiet', '--short', 'HEAD'], { okExitCodes: [0, 1] });
+  const current = head.trim() || null;
+
+  const branches = [];
+  for (const line of stdout.split('\n')) {
+    if (!line) continue;
+    const [ref, name, commit, upstream, track, date, subject] = line.split(FIELD);
+    // origin/HEAD only points at another remote branch
+    if (ref.endsWith('/HEAD')) continue;
+    branches.push({
+      name,
+      remote: ref.startsWith('refs/remotes/'),
+      current: ref === 'refs/heads/' + current,
+      commit,
+      upstream: upstream || null,
+      ahead: Number(track.match(/ahead (\d+)/)?.[1] || 0),
+      behind: Number(track.match(/behind (\d+)/)?.[1] || 0),
+      upstreamGone: track === 'gone',
+      date,
+      subject,
+    });
+  }
+  return { current, branches };
+}
+
+/**
+ * New branch at `startPoint` (default HEAD); with `switch: true` it's checked out too
+ */
+export async function createBranch(cwd, { name, startPoint, switch: switchTo = false } = {}) {
+  await assertBranchName(cwd, name);
+  if (startPoint !== undefined) await assertRevision(cwd, startPoint);
+  const args = switchTo ? ['switch', '--create', name] : ['branch', name];
+  if (startPoint !== undefined) args.push(startPoint);
+  await runGit(cwd, args);
+  return { branch: name, switched: switchTo };
+}
+
+/**
+ * Check out a branch; a remote branch's name alone creates its local tracking branch
+ */
+export async function switchBranch(cwd, { name } = {}) {
+  await assertBranchName(cwd, name);
+  await runGit(cwd, ['switch', name]);
+  return { branch: name };
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Commits, newest first, `limit` at a time from `skip`; optionally only those
+ * reachable from `ref` and touching `path`
+ */
+export async function getLog(cwd, { ref, path, skip = 0, limit = DEFAULT_LOG_LIMIT } = {}) {
+  if (!Number.isInteger(skip) || skip < 0 || !Number.isInteger(limit) || limit < 1) {
+    throw createGitError('INVALID_PAYLOAD', 'skip and limit must be positive integers');
+  }
+  if (ref !== undefined) await assertRevision(cwd, ref);
+  else if (!(await hasCommits(cwd))) return { commits: [], skip, limit, hasMore: false };
+
+  const format = ['%H', '%h', '%an', '%ae', '%aI', '%P', '%s'].join('%x1f') + '%x1e';
+  // One more than asked for tells whether there is a next page
+  const args = ['log', '--format=tformat:' + format, '--skip=' + skip, '--max-count=' + (limit + 1)];
+  if (ref !== undefined) args.push(ref);
+  args.push('--');
+  if (path !== undefined) args.push(...toPaths(path));
+  const { stdout } = await runGit(cwd, args);
+
+  const commits = stdout.split(RECORD).map(record => record.trim()).filter(Boolean).map((record) => {
+    const [hash, shortHash, authorName, authorEmail, date, parents, subject] = record.split(FIELD);
+    return {
+      hash,
+      shortHash,
+      author: { name: authorName, email: authorEmail },
+      date,
+      parents: parents ? parents.split(' ') : [],
+      subject,
+    };
+  });
+  return { commits: commits.slice(0, limit), skip, limit, hasMore: commits.length > limit };
+}
+
+// ============================================================================
+// Diffs and staging
+// ============================================================================
+
+function parseHunkHeader(header) {
+  const match = header.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+  return {
+    oldStart: Number(match[1]),
+    oldLines: match[2] === undefined ? 1 : Number(match[2]),
+    newStart: Number(match[3]),
+    newLines: match[4] === undefined ? 1 : Number(match[4]),
+  };
+}
+
+// Unified diff -> files with their header lines and hunks; a hunk's id changes with its content
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const closeHunk = () => {
+    if (!hunk) return;
+    hunk.id = createHash('sha1').update(file.path + '\n' + hunk.header + '\n' + hunk.lines.join('\n')).digest('hex').slice(0, 12);
+    file.hunks.push(hunk);
+    hunk = null;
+  };
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      if (file) closeHunk();
+      file = { path: null, oldPath: null, binary: false, headerLines: [line], hunks: [] };
+      files.push(file);
+    } else if (!file) {
+      continue;
+    } else if (line.startsWith('@@ ')) {
+      closeHunk();
+      hunk = { id: null, header: line, ...parseHunkHeader(line), lines: [] };
+    } else if (hunk) {
+      if (/^[ +\-\\]/.test(line)) hunk.lines.push(line);
+    } else {
+      file.headerLines.push(line);
+      if (line.startsWith('--- ') && line !== '--- /dev/null') file.oldPath = unquotePath(line.slice(4)).replace(/^a\//, '');
+      if (line.startsWith('+++ ') && line !== '+++ /dev/null') file.path = unquotePath(line.slice(4)).replace(/^b\//, '');
+      if (line.startsWith('rename from ')) file.oldPath = unquotePath(line.slice(12));
+      if (line.startsWith('rename to ')) file.path = unquotePath(line.slice(10));
+      if (line.startsWith('Binary files ')) file.binary = true;
+    }
+  }
+  if (file) closeHunk();
+
+  for (const entry of files) {
+    // Deleted files only have an old path; the `diff --git` line is the last resort
+    entry.path ??= entry.oldPath ?? unquotePath(entry.headerLines[0].split(' b/').pop());
+    if (entry.oldPath === entry.path) entry.oldPath = null;
+  }
+  return files;
+}
+
+async function readDiff(cwd, { staged = false, path } = {}) {
+  // Fixed prefixes, whatever diff.noprefix or diff.mnemonicPrefix say
+  const args = ['diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/'];
+  if (staged) args.push('--cached');
+  args.push('--');
+  if (path !== undefined) args.push(...toPaths(path));
+  const { stdout } = await runGit(cwd, args);
+  return stdout;
+}
+
+/**
+ * Unstaged (working tree vs index) or, with `staged: true`, staged (index vs
+ * HEAD) changes, raw and as files with hunks
+ */
+export async function getDiff(cwd, { staged = false, path } = {}) {
+  const diff = await readDiff(cwd, { staged, path });
+  const files = parseDiff(diff).map(({ headerLines, ...file }) => file);
+  return { staged, diff, files };
+}
+
+export async function stagePaths(cwd, { paths } = {}) {
+  const list = toPaths(paths);
+  // -A stages deletions too
+  await runGit(cwd, ['add', '-A', '--', ...list]);
+  return { paths: list };
+}
+
+export async function unstagePaths(cwd, { paths } = {}) {
+  const list = toPaths(paths);
+  if (await hasCommits(cwd)) {
+    await runGit(cwd, ['restore', '--staged', '--', ...list]);
+  } else {
+    // Nothing to restore from before the first commit
+    await runGit(cwd, ['rm', '--cached', '-r', '--quiet', '--', ...list]);
+  }
+  return { paths: list };
+}
+
+// Apply some hunks of a file's diff to the index; `reverse` takes staged hunks back out
+async function applyHunks(cwd, { path, hunks, reverse }) {
+  if (!Array.isArray(hunks) || hunks.length === 0) {
+    throw createGitError('INVALID_PAYLOAD', 'Expected one or more hunk ids');
+  }
+  const [file] = parseDiff(await readDiff(cwd, { staged: reverse, path }));
+  const selected = file ? file.hunks.filter(hunk => hunks.includes(hunk.id)) : [];
+  // A hunk that's gone was based on an outdated diff
+  if (selected.length !== hunks.length) {
+    throw createGitError('CONFLICT', 'The diff of ' + path + ' has changed; reload it and select the hunks again');
+  }
+  const patch = [...file.headerLines, ...selected.flatMap(hunk => [hunk.header, ...hunk.lines])].join('\n') + '\n';
+  const args = ['apply', '--cached', '--whitespace=nowarn'];
+  if (reverse) args.push('--reverse');
+  await runGit(cwd, [...args, '-'], { input: patch });
+  return { path, hunks };
+}
+
+/**
+ * Stage hunks (ids from getDiff) of one file's unstaged changes
+ */
+export function stageHunks(cwd, { path, hunks } = {}) {
+  return applyHunks(cwd, { path: toPaths(path)[0], hunks, reverse: false });
+}
+
+/**
+ * Unstage hunks (ids from getDiff with `staged: true`) of one file
+ */
+export function unstageHunks(cwd, { path, hunks } = {}) {
+  return applyHunks(cwd, { path: toPaths(path)[0], hunks, reverse: true });
+}
+
+/**
+ * Commit what's staged; the message goes through stdin, never the command line
+ */
+export async function commit(cwd, { message } = {}) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw createGitError('INVALID_PAYLOAD', 'Commit message is required');
+  }
+  const { stdout } = await runGit(cwd, ['commit', '--file=-'], { input: message });
+  const { stdout: hash } = await runGit(cwd, ['rev-parse', 'HEAD']);
+  return { commit: hash.trim(), output: stdout };
+}
+
+// ============================================================================
+// Stashes
+// ============================================================================
+
+export async function listStashes(cwd) {
+  const format = ['%gd', '%H', '%aI', '%gs'].join('%x1f');
+  const { stdout } = await runGit(cwd, ['stash', 'list', '--format=' + format]);
+  const stashes = stdout.split('\n').filter(Boolean).map((line) => {
+    const [ref, hash, date, message] = line.split(FIELD);
+    return { index: Number(ref.match(/\{(\d+)\}/)[1]), ref, hash, date, message };
+  });
+  return { stashes };
+}
+
+/**
+ * Apply a stash (default the latest); `pop: true` drops it once it applied
+ * cleanly. Conflicts leave the stash in place and are listed in `conflicts`.
+ */
+export async function applyStash(cwd, { index = 0, pop = false } = {}) {
+  if (!Number.isInteger(index) || index < 0) throw createGitError('INVALID_PAYLOAD', 'Invalid stash index: ' + index);
+  const { stashes } = await listStashes(cwd);
+  if (!stashes.some(stash => stash.index === index)) throw createGitError('NOT_FOUND', 'No stash@{' + index + '}');
+
+  const ref = 'stash@{' + index + '}';
+  const { exitCode, stderr } = await runGit(cwd, ['stash', pop ? 'pop' : 'apply', ref], { okExitCodes: [0, 1] });
+  const { files } = await listConflicts(cwd);
+  if (exitCode !== 0 && files.length === 0) {
+    throw createGitError(getFailureCode(stderr), stderr.trim() || 'git stash ' + (pop ? 'pop' : 'apply') + ' failed', { stderr, exitCode });
+  }
+  return { stash: ref, popped: pop && exitCode === 0, conflicts: files.map(file => file.path) };
+}
+
+// ============================================================================
+// Merge conflicts
+// ============================================================================
+
+const OPERATION_HEADS = [
+  ['MERGE_HEAD', 'merge'],
+  ['REBASE_HEAD', 'rebase'],
+  ['CHERRY_PICK_HEAD', 'cherry-pick'],
+  ['REVERT_HEAD', 'revert'],
+];
+
+/**
+ * Unmerged files and the operation that left them. `ours`/`theirs`: whether
+ * that side still has the file (false when it was deleted there).
+ */
+export async function listConflicts(cwd) {
+  const { changes } = await getStatus(cwd);
+  const files = changes
+    .filter(change => change.type === 'conflicted')
+    .map(change => ({ path: change.file, status: change.status, ours: change.status[0] !== 'D', theirs: change.status[1] !== 'D' }));
+
+  let operation = null;
+  for (const [head, name] of OPERATION_HEADS) {
+    const { exitCode } = await runGit(cwd, ['rev-parse', '--verify', '--quiet', head], { okExitCodes: [0, 1] });
+    if (exitCode === 0) {
+      operation = name;
+      break;
+    }
+  }
+  return { operation, files };
+}
+
+/**
+ * Resolve a conflicted file with our version, theirs, or (`merged`) the
+ * working tree content as the client left it; a side without the file deletes it
+ */
+export async function resolveConflict(cwd, { path, side } = {}) {
+  if (!['ours', 'theirs', 'merged'].includes(side)) {
+    throw createGitError('INVALID_PAYLOAD', 'side must be ours, theirs or merged');
+  }
+  const { files } = await listConflicts(cwd);
+  const file = files.find(entry => entry.path === path);
+  if (!file) throw createGitError('NOT_FOUND', 'Not in conflict: ' + path);
+
+  if (side !== 'merged' && !file[side]) {
+    await runGit(cwd, ['rm', '--quiet', '--', path]);
+  } else {
+    if (side !== 'merged') await runGit(cwd, ['checkout', '--' + side, '--', path]);
+    await runGit(cwd, ['add', '--', path]);
+  }
+  return { path, side, remaining: files.length - 1 };
+}
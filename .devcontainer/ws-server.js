@@ -1,11 +1,14 @@
 import { WebSocketServer } from 'ws';
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { createHash, randomBytes } from 'crypto';
 import jwt from 'jsonwebtoken';
+import chokidar from 'chokidar';
+import { z } from 'zod';
+import * as git from './git-api.js';
 
-const execAsync = promisify(exec);
 const PORT = 8080;
 
 // JWT Public Key for token verification (RS256)
@@ -89,6 +92,12 @@ function isPathSafe(filePath) {
   return true;
 }
 
+// Files and directories hidden from clients (list results and watch events)
+function isIgnoredName(name) {
+  if (name.startsWith('.') && name !== '.astro' && name !== '.devcontainer') return true;
+  return name === 'node_modules' || name === 'dist' || name === '.git';
+}
+
 // List files in a directory (recursive)
 async function listDirectory(dirPath, basePath = '') {
   const files = [];
@@ -96,8 +105,7 @@ async function listDirectory(dirPath, basePath = '') {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
     
     for (const entry of entries) {
-      if (entry.name.startsWith('.') && entry.name !== '.astro' && entry.name !== '.devcontainer') continue;
-      if (entry.name === 'node_modules' || entry.name === 'dist' || entry.name === '.git') continue;
+      if (isIgnoredName(entry.name)) continue;
       
       const relativePath = basePath ? basePath + '/' + entry.name : entry.name;
       const fullPath = path.join(dirPath, entry.name);
@@ -124,6 +132,948 @@ async function listDirectory(dirPath, basePath = '') {
   return files;
 }
 
+// ============================================================================
+// File versions and atomic writes
+// ============================================================================
+//
+// A file's version is { hash, mtime, size }, where hash is the SHA-256 of its
+// bytes. `read`, `stat` and every write report it. A `write` that sends the
+// hash it started from as `expectedHash` only goes through while the file is
+// unchanged (`expectedHash: null`: while it doesn't exist); otherwise it fails
+// with `conflict: true` and `current`, the file's version now (null when it's
+// gone) plus its content up to CONFLICT_CONTENT_LIMIT bytes, so the client can
+// merge. `create` never replaces a file, `rename` only with `overwrite: true`.
+//
+// Files are written to a temp file next to them and renamed into place, so
+// nobody ever sees half of a write, and writes to one path run one at a time.
+//
+// Files too large for one message go in chunks: `uploadStart` { path, size,
+// expectedHash? } -> uploadId, `uploadChunk` { uploadId, offset, content }
+// (base64) until all bytes are in, then `uploadFinish` { uploadId, hash? } or
+// `uploadAbort`. Downloads are `readChunk` { path, offset, length? } calls.
+
+// Content of the current file sent along with a conflict
+const CONFLICT_CONTENT_LIMIT = 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 1024 * 1024 * 1024;
+const MAX_UPLOADS_PER_CLIENT = 4;
+
+// Touch global.css to trigger Tailwind CSS rebuild for files that might contain classes
+// This fixes a race condition where Vite's eager glob imports can cache CSS before
+// Tailwind has scanned new files for arbitrary values like h-[56px], w-[200px], etc.
+const TAILWIND_TRIGGER_EXTENSIONS = ['.astro', '.tsx', '.jsx', '.html', '.mdx', '.md', '.vue', '.svelte'];
+
+async function touchTailwindTrigger(filePath) {
+  if (!TAILWIND_TRIGGER_EXTENSIONS.some(ext => filePath.endsWith(ext))) return;
+  try {
+    const now = new Date();
+    await fs.utimes('src/styles/global.css', now, now);
+  } catch (e) {
+    // Ignore if global.css doesn't exist
+  }
+}
+
+function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function toVersion(hash, stats) {
+  return { hash, mtime: stats.mtimeMs, size: stats.size };
+}
+
+function toBuffer(content, encoding) {
+  return Buffer.from(content || '', encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// Version of a file, or null when it doesn't exist
+async function getFileVersion(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const stats = await handle.stat();
+    if (stats.isDirectory()) throw createProtocolError('IS_DIRECTORY', 'Not a file: ' + filePath);
+    const hash = createHash('sha256');
+    for await (const chunk of handle.createReadStream({ autoClose: false })) {
+      hash.update(chunk);
+    }
+    return toVersion(hash.digest('hex'), stats);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+}
+
+// The error for a write that would overwrite someone else's change
+async function createConflictError(message, filePath, encoding) {
+  const error = createProtocolError('CONFLICT', message);
+  error.conflict = true;
+  error.current = await getFileVersion(filePath);
+  if (error.current && error.current.size <= CONFLICT_CONTENT_LIMIT) {
+    error.current.encoding = encoding === 'base64' ? 'base64' : 'utf8';
+    error.current.content = (await fs.readFile(filePath)).toString(error.current.encoding);
+  }
+  return error;
+}
+
+// Throws a conflict unless the file still has the expected hash (null: doesn't exist)
+async function assertFileVersion(filePath, expectedHash, encoding) {
+  const current = await getFileVersion(filePath);
+  if ((current ? current.hash : null) === expectedHash) return;
+  let message = 'File was changed since it was read';
+  if (!current) message = 'File was deleted since it was read';
+  else if (expectedHash === null) message = 'File already exists';
+  throw await createConflictError(message, filePath, encoding);
+}
+
+// Writes to a path queue up behind each other
+const fileLocks = new Map();
+
+function withFileLock(filePath, task) {
+  const key = path.resolve(filePath);
+  const run = (fileLocks.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  fileLocks.set(key, settled);
+  settled.then(() => {
+    if (fileLocks.get(key) === settled) fileLocks.delete(key);
+  });
+  return run;
+}
+
+// Both paths locked, always in the same order so two opposite renames can't deadlock
+function withFileLocks(filePaths, task) {
+  const [first, second] = [...new Set(filePaths.map(filePath => path.resolve(filePath)))].sort();
+  if (!second) return withFileLock(first, task);
+  return withFileLock(first, () => withFileLock(second, task));
+}
+
+// Hidden (and so unlisted and unwatched) sibling of the target
+function getTempPath(filePath) {
+  return path.join(path.dirname(filePath), '.' + path.basename(filePath) + '.' + randomBytes(6).toString('hex') + '.tmp');
+}
+
+// Move a finished temp file into place; `exclusive` fails with EEXIST rather than replace a file
+async function commitTempFile(tempPath, filePath, exclusive) {
+  if (exclusive) {
+    await fs.link(tempPath, filePath);
+    await fs.unlink(tempPath);
+    return;
+  }
+  // A replaced file keeps its permissions
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (stats) await fs.chmod(tempPath, stats.mode & 0o7777);
+  await fs.rename(tempPath, filePath);
+}
+
+async function writeFileAtomic(filePath, buffer, { exclusive = false } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = getTempPath(filePath);
+  try {
+    const handle = await fs.open(tempPath, 'wx');
+    try {
+      await handle.writeFile(buffer);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await commitTempFile(tempPath, filePath, exclusive);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  return toVersion(hashContent(buffer), await fs.stat(filePath));
+}
+
+function getUpload(ws, uploadId) {
+  const upload = ws.uploads.get(String(uploadId));
+  if (!upload) throw createProtocolError('NOT_FOUND', 'Unknown upload: ' + uploadId);
+  return upload;
+}
+
+async function discardUpload(upload) {
+  await upload.writing.catch(() => {});
+  await upload.handle.close().catch(() => {});
+  await fs.rm(upload.tempPath, { force: true });
+}
+
+// ============================================================================
+// File watching
+// ============================================================================
+//
+// Clients subscribe with { action: 'watch', paths: ['src', 'src/**/*.astro'] }
+// and receive { action: 'fileChanges', id, cursor, events } pushes, where each
+// event is { type: 'created' | 'changed' | 'deleted' | 'renamed', path,
+// oldPath?, isDirectory }. One chokidar watcher serves every subscription and
+// only runs while there is at least one.
+//
+// Changes are collected for WATCH_DEBOUNCE_MS (at most WATCH_MAX_WAIT_MS) and
+// pushed as one batch. A delete and a create of the same inode in a batch is a
+// rename; events inside a deleted or renamed directory are folded into it.
+//
+// Every push carries a cursor. After a reconnect, a client sends its last
+// cursor as `since` with the new watch and gets the events it missed, or
+// `resync: true` when they are gone (server restart, too long offline) and it
+// has to list/read again. The watcher keeps running for WATCH_IDLE_MS after the
+// last subscription ends, so a quick reconnect can catch up.
+
+const WATCH_DEBOUNCE_MS = 200;
+const WATCH_MAX_WAIT_MS = 1000;
+// Events kept for replay after a reconnect
+const WATCH_HISTORY_SIZE = 5000;
+const WATCH_IDLE_MS = 5 * 60 * 1000;
+const MAX_WATCHES_PER_CLIENT = 50;
+
+// Distinguishes cursors of this process from those of a previous run
+const SERVER_ID = randomBytes(4).toString('hex');
+
+const watchers = {
+  instance: null,
+  ready: false,
+  // Incremented on every start: events from before it were never seen
+  epoch: 0,
+  idleTimer: null,
+  // Relative path -> inode, to recognise renames
+  inodes: new Map(),
+  pending: [],
+  timer: null,
+  firstPendingAt: 0,
+  seq: 0,
+  history: [],
+};
+
+function toRelativePath(absolutePath) {
+  return path.relative(process.cwd(), absolutePath).split(path.sep).join('/');
+}
+
+function isIgnoredPath(relativePath) {
+  return relativePath.split('/').some(isIgnoredName);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\\/]/g, '\\$&');
+}
+
+// Glob to RegExp: ** (any depth), *, ?, [abc], [!abc] and {a,b} (nestable)
+function globToRegExp(glob) {
+  let i = 0;
+  // Reads up to the end, or up to the , or } ending an alternative
+  function parse(inGroup) {
+    let source = '';
+    for (; i < glob.length; i++) {
+      const char = glob[i];
+      if (inGroup && (char === ',' || char === '}')) return source;
+      if (char === '*' && glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[' && glob.indexOf(']', i) > i) {
+        const end = glob.indexOf(']', i);
+        source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = end;
+      } else if (char === '{') {
+        const alternatives = [];
+        do {
+          i++;
+          alternatives.push(parse(true));
+        } while (glob[i] === ',');
+        if (glob[i] !== '}') throw createProtocolError('INVALID_PAYLOAD', 'Unclosed { in pattern: ' + glob);
+        source += '(?:' + alternatives.join('|') + ')';
+      } else {
+        source += escapeRegExp(char);
+      }
+    }
+    return source;
+  }
+
+  const source = parse(false);
+  try {
+    return new RegExp('^' + source + '$');
+  } catch {
+    throw createProtocolError('INVALID_PAYLOAD', 'Invalid pattern: ' + glob);
+  }
+}
+
+// A path or glob to a test for relative paths; a path also covers what's below it
+function createMatcher(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  if (normalized === '' || normalized === '.') return () => true;
+  if (/[*?[{]/.test(normalized)) {
+    const regex = globToRegExp(normalized);
+    return (relativePath) => regex.test(relativePath);
+  }
+  return (relativePath) => relativePath === normalized || relativePath.startsWith(normalized + '/');
+}
+
+// Merge the events of one path in a batch: created + changed = created, created + deleted = nothing, ...
+function coalesceEvents(events) {
+  const byPath = new Map();
+  for (const event of events) {
+    const previous = byPath.get(event.path);
+    if (!previous) {
+      byPath.set(event.path, { ...event });
+    } else if (previous.type === 'created' && event.type === 'deleted') {
+      byPath.delete(event.path);
+    } else if (previous.type === 'created' && event.type === 'changed') {
+      // Still new to the client
+    } else if (previous.type === 'deleted' && event.type === 'created') {
+      byPath.set(event.path, { ...event, type: event.isDirectory ? 'created' : 'changed' });
+    } else {
+      byPath.set(event.path, { ...previous, ...event });
+    }
+  }
+
+  // A delete and a create of the same inode is a rename. Freed inodes get
+  // reused, so a file never pairs with a directory.
+  const merged = [...byPath.values()];
+  const deletedByInode = new Map();
+  for (const event of merged) {
+    if (event.type === 'deleted' && event.ino) deletedByInode.set(event.ino, event);
+  }
+  for (const event of merged) {
+    const source = event.type === 'created' && event.ino ? deletedByInode.get(event.ino) : null;
+    if (!source || source.consumed || source.isDirectory !== event.isDirectory) continue;
+    source.consumed = true;
+    event.type = 'renamed';
+    event.oldPath = source.path;
+  }
+
+  // Whatever happened inside a deleted or renamed directory is part of that
+  const folded = merged.filter(event => !event.consumed);
+  const containers = folded.filter(event => event.isDirectory && (event.type === 'deleted' || event.type === 'renamed'));
+  const isInside = (child, parent) => child.startsWith(parent + '/');
+  const isFolded = (event) => containers.some(dir => {
+    if (dir === event) return false;
+    if (dir.type === 'deleted') return isInside(event.path, dir.path);
+    // Children of a renamed directory moved with it
+    if (event.type === 'renamed') return isInside(event.path, dir.path) && isInside(event.oldPath, dir.oldPath);
+    return event.type === 'deleted' && isInside(event.path, dir.oldPath);
+  });
+  return folded
+    .filter(event => !isFolded(event))
+    .map(({ type, path: eventPath, oldPath, isDirectory }) => (oldPath ? { type, path: eventPath, oldPath, isDirectory } : { type, path: eventPath, isDirectory }));
+}
+
+// Events of a batch a subscription should see; a rename across its boundary is a create or delete
+function filterEvents(events, matchers) {
+  const matches = (relativePath) => matchers.some(match => match(relativePath));
+  const visible = [];
+  for (const event of events) {
+    if (event.type !== 'renamed') {
+      if (matches(event.path)) visible.push(event);
+      continue;
+    }
+    const from = matches(event.oldPath);
+    const to = matches(event.path);
+    if (from && to) visible.push(event);
+    else if (to) visible.push({ type: 'created', path: event.path, isDirectory: event.isDirectory });
+    else if (from) visible.push({ type: 'deleted', path: event.oldPath, isDirectory: event.isDirectory });
+  }
+  return visible;
+}
+
+function getCursor() {
+  return SERVER_ID + '.' + watchers.epoch + ':' + watchers.seq;
+}
+
+function sendChanges(client, id, subscription, events) {
+  const visible = filterEvents(events, subscription.matchers);
+  if (visible.length === 0 || client.readyState !== client.OPEN) return;
+  client.send(JSON.stringify({
+    action: 'fileChanges',
+    id,
+    cursor: getCursor(),
+    events: visible,
+  }));
+}
+
+function flushChanges() {
+  clearTimeout(watchers.timer);
+  watchers.timer = null;
+  const events = coalesceEvents(watchers.pending);
+  watchers.pending = [];
+  if (events.length === 0) return;
+
+  for (const event of events) {
+    watchers.history.push({ seq: ++watchers.seq, event });
+  }
+  if (watchers.history.length > WATCH_HISTORY_SIZE) {
+    watchers.history.splice(0, watchers.history.length - WATCH_HISTORY_SIZE);
+  }
+
+  for (const client of wss.clients) {
+    for (const [id, subscription] of client.watches || []) {
+      sendChanges(client, id, subscription, events);
+    }
+  }
+}
+
+function queueChange(type, absolutePath, stats, isDirectory) {
+  const relativePath = toRelativePath(absolutePath);
+  if (!relativePath || isIgnoredPath(relativePath)) return;
+
+  let ino;
+  if (type === 'deleted') {
+    ino = watchers.inodes.get(relativePath);
+    watchers.inodes.delete(relativePath);
+  } else if (stats) {
+    ino = stats.ino;
+    watchers.inodes.set(relativePath, ino);
+  }
+  // The initial scan only records inodes
+  if (!watchers.ready) return;
+
+  watchers.pending.push({ type, path: relativePath, isDirectory, ino });
+  const now = Date.now();
+  if (!watchers.timer) watchers.firstPendingAt = now;
+  clearTimeout(watchers.timer);
+  const wait = Math.max(0, Math.min(WATCH_DEBOUNCE_MS, watchers.firstPendingAt + WATCH_MAX_WAIT_MS - now));
+  watchers.timer = setTimeout(flushChanges, wait);
+}
+
+function startWatcher() {
+  clearTimeout(watchers.idleTimer);
+  watchers.idleTimer = null;
+  if (watchers.instance) return;
+  watchers.ready = false;
+  watchers.epoch++;
+  watchers.history = [];
+  watchers.instance = chokidar.watch('.', {
+    cwd: process.cwd(),
+    ignored: (watchedPath) => isIgnoredPath(toRelativePath(path.resolve(process.cwd(), watchedPath))),
+    alwaysStat: true,
+    ignorePermissionErrors: true,
+  });
+  watchers.instance
+    .on('add', (filePath, stats) => queueChange('created', filePath, stats, false))
+    .on('addDir', (dirPath, stats) => queueChange('created', dirPath, stats, true))
+    .on('change', (filePath, stats) => queueChange('changed', filePath, stats, false))
+    .on('unlink', (filePath) => queueChange('deleted', filePath, null, false))
+    .on('unlinkDir', (dirPath) => queueChange('deleted', dirPath, null, true))
+    .on('ready', () => {
+      watchers.ready = true;
+      console.log('👀 File watcher ready (' + watchers.inodes.size + ' paths)');
+    })
+    .on('error', (error) => console.error('File watcher error:', error.message));
+}
+
+function stopWatcherIfUnused() {
+  if (!watchers.instance || watchers.idleTimer) return;
+  for (const client of wss.clients) {
+    if (client.watches?.size) return;
+  }
+  watchers.idleTimer = setTimeout(() => {
+    watchers.idleTimer = null;
+    for (const client of wss.clients) {
+      if (client.watches?.size) return;
+    }
+    flushChanges();
+    watchers.instance.close().catch(() => {});
+    watchers.instance = null;
+    watchers.ready = false;
+    watchers.inodes.clear();
+    console.log('👀 File watcher stopped (no subscriptions)');
+  }, WATCH_IDLE_MS);
+}
+
+// Events after a cursor, or null when they can no longer be replayed
+function getEventsSince(cursor) {
+  const [origin, seqText] = String(cursor).split(':');
+  const seq = Number(seqText);
+  if (!watchers.instance || origin !== SERVER_ID + '.' + watchers.epoch) return null;
+  if (!Number.isInteger(seq) || seq > watchers.seq) return null;
+  const oldest = watchers.history.length > 0 ? watchers.history[0].seq : watchers.seq + 1;
+  if (seq < oldest - 1) return null;
+  // In order, as pushed; not merged, since a batch may refer to an earlier one
+  return watchers.history.filter(entry => entry.seq > seq).map(entry => entry.event);
+}
+
+// ============================================================================
+// Commands and logs
+// ============================================================================
+//
+// `exec` { command, args, cwd?, timeout? } spawns the program directly (no
+// shell) if EXEC_RULES allows its arguments. Version 2 clients get
+// { action: 'execStarted', execId, pid } and then { action: 'execOutput',
+// execId, stream, data } as output comes in, all with the exec's requestId;
+// the final { action: 'exec', exitCode, signal, cancelled, timedOut } comes
+// when the process has ended. `execCancel` { execId } stops the process and
+// everything it started. A command keeps running when its client
+// disconnects. Each user runs at most MAX_EXECS_PER_USER commands at a time.
+//
+// A `command` without `args` is a whole command line
+// ("cd /workspaces/site && npm install three"); it is split into arguments,
+// never given to a shell.
+//
+// `tailLog` { app, stream?, lines?, follow? } returns the end of a pm2 log
+// from ecosystem.config.cjs and, with follow, pushes { action: 'logLines',
+// tailId, lines } as it grows, until `untailLog` { tailId? }.
+
+const EXEC_DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const EXEC_MAX_TIMEOUT_MS = 60 * 60 * 1000;
+// Between SIGTERM and SIGKILL
+const EXEC_KILL_GRACE_MS = 5000;
+// Output is sent at most this often, not once per line
+const EXEC_FLUSH_MS = 100;
+const MAX_EXECS_PER_USER = 2;
+
+const MAX_TAIL_LINES = 1000;
+const MAX_TAILS_PER_CLIENT = 4;
+const LOG_POLL_MS = 500;
+// Read from the end of a log for its last lines
+const LOG_TAIL_BYTES = 256 * 1024;
+
+// pm2 apps -> { out, error } log files
+function loadLogFiles() {
+  try {
+    const { apps } = createRequire(import.meta.url)('./ecosystem.config.cjs');
+    return Object.fromEntries(apps.map(app => [app.name, { out: app.out_file, error: app.error_file }]));
+  } catch (error) {
+    console.error('Could not read pm2 log files from ecosystem.config.cjs:', error.message);
+    return {};
+  }
+}
+
+const LOG_FILES = loadLogFiles();
+
+async function getPackageScripts(cwd) {
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    return packageJson.scripts || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Programs exec may run, each with a check of its arguments
+const EXEC_RULES = {
+  npm: async (args, cwd) => {
+    const [subcommand, ...rest] = args;
+    if (subcommand === 'run' || subcommand === 'run-script') {
+      return Boolean(rest[0]) && Object.hasOwn(await getPackageScripts(cwd), rest[0]);
+    }
+    // Installs stay in the workspace
+    const outside = rest.some(arg => arg === '-g' || /^--(global|prefix|location)\b/.test(arg));
+    return ['install', 'i', 'ci', 'uninstall'].includes(subcommand) && !outside;
+  },
+  // Only the apps of ecosystem.config.cjs, so pm2 can't be pointed at another script
+  pm2: async (args) => {
+    const [subcommand, ...rest] = args;
+    const targets = rest.filter(arg => !arg.startsWith('--'));
+    return ['restart', 'start', 'stop', 'reload'].includes(subcommand) &&
+      targets.length > 0 &&
+      targets.every(target => target === 'all' || Object.hasOwn(LOG_FILES, target));
+  },
+  pkill: async (args) => args.length === 2 && args[0] === '-f',
+};
+
+// Command line words, honouring quotes; anything a shell would expand is refused
+function splitCommandLine(commandLine) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (const char of commandLine) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else if (quote === '"' && /[$`\\]/.test(char)) throw createProtocolError('NOT_ALLOWED', 'Command not allowed for security reasons');
+      else word += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word ?? '';
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (/[;&|<>$`\\(){}*?!~#]/.test(char)) {
+      throw createProtocolError('NOT_ALLOWED', 'Command not allowed for security reasons');
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (quote) throw createProtocolError('INVALID_PAYLOAD', 'Unterminated quote in command');
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// { command, args, cwd } from an exec request, or a NOT_ALLOWED error
+async function resolveCommand(data) {
+  let { command, args, cwd = '.' } = data;
+  if (!args) {
+    // cd <dir> && ... in a command line; the directory must be inside the workspace
+    const cdMatch = command.match(/^cd\s+(\S+)\s*&&\s*(.+)$/);
+    if (cdMatch) {
+      cwd = path.relative(process.cwd(), path.resolve(process.cwd(), cdMatch[1])) || '.';
+      if (!isPathSafe(cwd)) throw createProtocolError('NOT_ALLOWED', 'Command not allowed for security reasons');
+    }
+    [command, ...args] = splitCommandLine(cdMatch ? cdMatch[2] : command);
+  }
+  const absoluteCwd = path.resolve(process.cwd(), cwd);
+  const rule = Object.hasOwn(EXEC_RULES, command) ? EXEC_RULES[command] : null;
+  if (!rule || !(await rule(args, absoluteCwd))) {
+    throw createProtocolError('NOT_ALLOWED', 'Command not allowed for security reasons');
+  }
+  return { command, args, cwd: absoluteCwd };
+}
+
+// execId -> { owner, child, cancelled, timedOut, killTimer }
+const runningCommands = new Map();
+
+function countRunningCommands(owner) {
+  let count = 0;
+  for (const run of runningCommands.values()) {
+    if (run.owner === owner) count++;
+  }
+  return count;
+}
+
+// The process runs in its own group, so npm's children stop with it
+function stopCommand(run) {
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-run.child.pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  };
+  signalGroup('SIGTERM');
+  run.killTimer = setTimeout(() => signalGroup('SIGKILL'), EXEC_KILL_GRACE_MS);
+}
+
+// Resolves with how the process ended; rejects when it can't be started
+function runCommand(execId, { command, args, cwd }, { owner, timeout, onStart, onOutput }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const run = { owner, child, cancelled: false, timedOut: false, killTimer: null };
+    runningCommands.set(execId, run);
+    const timer = setTimeout(() => {
+      run.timedOut = true;
+      stopCommand(run);
+    }, timeout);
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(run.killTimer);
+      runningCommands.delete(execId);
+    };
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', (text) => onOutput(stream, text));
+    }
+    child.on('spawn', () => onStart(child.pid));
+    child.on('error', (error) => {
+      finish();
+      reject(error);
+    });
+    child.on('close', (exitCode, signal) => {
+      finish();
+      resolve({ exitCode, signal, cancelled: run.cancelled, timedOut: run.timedOut });
+    });
+  });
+}
+
+async function readLastLines(filePath, count) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (error) {
+    // pm2 creates the file on the app's first output
+    if (error.code === 'ENOENT') return { lines: [], position: 0 };
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    const start = Math.max(0, size - LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    const lines = buffer.toString('utf8').split('\n');
+    // The first line is likely cut off, the last is empty or still being written
+    if (start > 0) lines.shift();
+    lines.pop();
+    return { lines: count > 0 ? lines.slice(-count) : [], position: size };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Polls a log for new lines; a file that shrank (pm2 flush) is read from the start
+function followLog(filePath, position, onLines) {
+  const tail = { position, partial: '', busy: false, timer: null };
+  tail.timer = setInterval(async () => {
+    if (tail.busy) return;
+    tail.busy = true;
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+      const { size } = await handle.stat();
+      if (size < tail.position) {
+        tail.position = 0;
+        tail.partial = '';
+      }
+      if (size > tail.position) {
+        const buffer = Buffer.alloc(Math.min(size - tail.position, LOG_TAIL_BYTES));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, tail.position);
+        tail.position += bytesRead;
+        const lines = (tail.partial + buffer.toString('utf8', 0, bytesRead)).split('\n');
+        tail.partial = lines.pop();
+        if (lines.length > 0) onLines(lines);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Log tail error (' + filePath + '):', error.message);
+    } finally {
+      await handle?.close();
+      tail.busy = false;
+    }
+  }, LOG_POLL_MS);
+  return tail;
+}
+
+// ============================================================================
+// Protocol
+// ============================================================================
+//
+// Requests are { action, requestId?, ...payload }. Every response to a request
+// echoes its requestId, so concurrent requests of one action can be told
+// apart. Payloads are checked against actionSchemas before anything runs.
+// Failures are { success: false, error, code }, with code one of ERROR_CODES;
+// batch actions (readMany, writeMany) succeed as a whole and report the same
+// per item in `results`.
+//
+// Right after connecting the server sends { action: 'hello', protocolVersion,
+// minProtocolVersion, actions }. A client answers with { action: 'hello',
+// protocolVersion } to say which version it speaks, before anything but ping;
+// one that doesn't speaks version 1 and gets UNSUPPORTED_PROTOCOL.
+//
+// Version 2: gitStatus answers like git-status, exec streams its output, and
+// there is no free-form `git` action: Git runs through the typed actions in
+// GIT_ACTIONS and the git-* ones, whose arguments the server builds itself.
+// Version 1 (gitStatus as { changes: count, files: porcelain lines }, exec
+// output in the final response, `git` with a command line) is not supported.
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+const MAX_BATCH_SIZE = 100;
+const MAX_GIT_LOG_LIMIT = 500;
+
+// Typed Git actions, see git-api.js; the result's fields are the response
+const GIT_ACTIONS = {
+  gitBranches: git.listBranches,
+  gitCreateBranch: git.createBranch,
+  gitSwitchBranch: git.switchBranch,
+  gitLog: git.getLog,
+  gitDiff: git.getDiff,
+  gitStage: git.stagePaths,
+  gitUnstage: git.unstagePaths,
+  gitStageHunks: git.stageHunks,
+  gitUnstageHunks: git.unstageHunks,
+  gitCommit: git.commit,
+  gitStashList: git.listStashes,
+  gitStashApply: git.applyStash,
+  gitConflicts: git.listConflicts,
+  gitResolveConflict: git.resolveConflict,
+};
+
+const ERROR_CODES = [
+  'INVALID_JSON',
+  'UNKNOWN_ACTION',
+  'INVALID_PAYLOAD',
+  'INVALID_PATH',
+  'UNSUPPORTED_PROTOCOL',
+  'NOT_FOUND',
+  'ALREADY_EXISTS',
+  'IS_DIRECTORY',
+  'PERMISSION_DENIED',
+  'CONFLICT',
+  'HASH_MISMATCH',
+  'NOT_ALLOWED',
+  'LIMIT_EXCEEDED',
+  'COMMAND_FAILED',
+  'CANCELLED',
+  'TIMEOUT',
+  'INTERNAL_ERROR',
+];
+
+const FS_ERROR_CODES = {
+  ENOENT: 'NOT_FOUND',
+  ENOTDIR: 'NOT_FOUND',
+  EEXIST: 'ALREADY_EXISTS',
+  ENOTEMPTY: 'ALREADY_EXISTS',
+  EISDIR: 'IS_DIRECTORY',
+  EACCES: 'PERMISSION_DENIED',
+  EPERM: 'PERMISSION_DENIED',
+};
+
+function createProtocolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getErrorCode(error) {
+  if (ERROR_CODES.includes(error.code)) return error.code;
+  if (FS_ERROR_CODES[error.code]) return FS_ERROR_CODES[error.code];
+  // child_process errors carry the command that failed
+  if (error.cmd) return 'COMMAND_FAILED';
+  return 'INTERNAL_ERROR';
+}
+
+// Response fields for a failed request
+function toErrorFields(error) {
+  const fields = { error: error.message, code: getErrorCode(error) };
+  if (error.conflict) fields.current = error.current;
+  if (error.issues) fields.issues = error.issues;
+  return fields;
+}
+
+const SafePath = z.string().min(1).refine(isPathSafe, { message: 'Invalid file path', params: { code: 'INVALID_PATH' } });
+const Encoding = z.enum(['utf8', 'base64']);
+// null: the file must not exist yet
+const ExpectedHash = z.string().regex(/^[0-9a-f]{64}$/, 'Expected a SHA-256 hex hash').nullable();
+const Id = z.union([z.string().min(1).max(200), z.number()]);
+const NoPayload = z.object({});
+// Checked against git too (git-api.js); this only rules out options
+const BranchName = z.string().min(1).max(250).refine(name => !name.startsWith('-'), 'Invalid branch name');
+const Revision = z.string().min(1).max(250).refine(revision => !revision.startsWith('-'), 'Invalid revision');
+
+const RequestEnvelope = z.object({
+  action: z.string().min(1),
+  requestId: Id.optional(),
+});
+
+const actionSchemas = {
+  hello: z.object({ protocolVersion: z.number().int().positive() }),
+  ping: NoPayload,
+  read: z.object({ path: SafePath, encoding: Encoding.optional() }),
+  // Paths are checked per item, so one bad path doesn't fail the batch
+  readMany: z.object({ paths: z.array(z.string()).min(1).max(MAX_BATCH_SIZE), encoding: Encoding.optional() }),
+  stat: z.object({ path: SafePath }),
+  readChunk: z.object({
+    path: SafePath,
+    offset: z.number().int().nonnegative().optional(),
+    length: z.number().int().positive().max(MAX_CHUNK_SIZE).optional(),
+  }),
+  write: z.object({ path: SafePath, content: z.string(), encoding: Encoding.optional(), expectedHash: ExpectedHash.optional() }),
+  writeMany: z.object({
+    files: z.array(z.object({
+      path: z.string(),
+      content: z.string(),
+      encoding: Encoding.optional(),
+      expectedHash: ExpectedHash.optional(),
+    })).min(1).max(MAX_BATCH_SIZE),
+  }),
+  list: z.object({ path: SafePath }),
+  delete: z.object({ path: SafePath }),
+  rename: z.object({ oldPath: SafePath, newPath: SafePath, overwrite: z.boolean().optional() }),
+  create: z.object({ path: SafePath, content: z.string().optional() }),
+  mkdir: z.object({ path: SafePath }),
+  uploadStart: z.object({ path: SafePath, size: z.number().int().nonnegative().max(MAX_UPLOAD_SIZE), expectedHash: ExpectedHash.optional() }),
+  uploadChunk: z.object({ uploadId: z.string().min(1), offset: z.number().int().nonnegative(), content: z.string() }),
+  uploadFinish: z.object({ uploadId: z.string().min(1), hash: z.string().optional() }),
+  uploadAbort: z.object({ uploadId: z.string().min(1) }),
+  gitBranches: z.object({ remotes: z.boolean().optional() }),
+  gitCreateBranch: z.object({ name: BranchName, startPoint: Revision.optional(), switch: z.boolean().optional() }),
+  gitSwitchBranch: z.object({ name: BranchName }),
+  gitLog: z.object({
+    ref: Revision.optional(),
+    path: SafePath.optional(),
+    skip: z.number().int().nonnegative().optional(),
+    limit: z.number().int().positive().max(MAX_GIT_LOG_LIMIT).optional(),
+  }),
+  gitDiff: z.object({ staged: z.boolean().optional(), path: SafePath.optional() }),
+  gitStage: z.object({ paths: z.array(SafePath).min(1).max(MAX_BATCH_SIZE) }),
+  gitUnstage: z.object({ paths: z.array(SafePath).min(1).max(MAX_BATCH_SIZE) }),
+  gitStageHunks: z.object({ path: SafePath, hunks: z.array(z.string().min(1)).min(1) }),
+  gitUnstageHunks: z.object({ path: SafePath, hunks: z.array(z.string().min(1)).min(1) }),
+  gitCommit: z.object({ message: z.string().min(1) }),
+  gitStashList: NoPayload,
+  gitStashApply: z.object({ index: z.number().int().nonnegative().optional(), pop: z.boolean().optional() }),
+  gitConflicts: NoPayload,
+  gitResolveConflict: z.object({ path: SafePath, side: z.enum(['ours', 'theirs', 'merged']) }),
+  gitStatus: NoPayload,
+  'git-status': NoPayload,
+  'git-diff': z.object({ file: SafePath }),
+  'git-commit': z.object({ message: z.string().min(1) }),
+  'git-push': NoPayload,
+  'git-pull-force': NoPayload,
+  exec: z.object({
+    command: z.string().min(1),
+    args: z.array(z.string()).max(100).optional(),
+    cwd: SafePath.optional(),
+    timeout: z.number().int().positive().max(EXEC_MAX_TIMEOUT_MS).optional(),
+  }),
+  execCancel: z.object({ execId: z.string().min(1) }),
+  tailLog: z.object({
+    app: z.string().min(1),
+    stream: z.enum(['out', 'error']).optional(),
+    lines: z.number().int().nonnegative().max(MAX_TAIL_LINES).optional(),
+    follow: z.boolean().optional(),
+  }),
+  untailLog: z.object({ tailId: z.string().min(1).optional() }),
+  watch: z.object({ id: Id.optional(), path: SafePath.optional(), paths: z.array(SafePath).min(1).optional(), since: z.string().optional() }),
+  unwatch: z.object({ id: Id.optional() }),
+};
+
+// Throws an INVALID_PAYLOAD (or INVALID_PATH) error listing what's wrong
+function validateRequest(data) {
+  const schema = Object.hasOwn(actionSchemas, data.action) ? actionSchemas[data.action] : null;
+  if (!schema) throw createProtocolError('UNKNOWN_ACTION', 'Unknown action: ' + data.action);
+  const result = schema.safeParse(data);
+  if (result.success) return;
+  const issues = result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+  const pathIssue = result.error.issues.find(issue => issue.params?.code === 'INVALID_PATH');
+  const first = issues[0];
+  const error = createProtocolError(
+    pathIssue ? 'INVALID_PATH' : 'INVALID_PAYLOAD',
+    'Invalid ' + data.action + ' request: ' + (first.path ? first.path + ': ' : '') + first.message
+  );
+  error.issues = issues;
+  throw error;
+}
+
+async function readFileWithVersion(filePath, encoding) {
+  const buffer = await fs.readFile(filePath);
+  const stats = await fs.stat(filePath);
+  const contentEncoding = encoding === 'base64' ? 'base64' : 'utf8';
+  return {
+    content: buffer.toString(contentEncoding),
+    encoding: contentEncoding,
+    ...toVersion(hashContent(buffer), stats),
+  };
+}
+
+// Without expectedHash the write replaces whatever is there
+async function writeFileChecked(filePath, content, encoding, expectedHash) {
+  const buffer = toBuffer(content, encoding);
+  const version = await withFileLock(filePath, async () => {
+    if (expectedHash !== undefined) {
+      await assertFileVersion(filePath, expectedHash, encoding);
+    }
+    return writeFileAtomic(filePath, buffer);
+  });
+  await touchTailwindTrigger(filePath);
+  return version;
+}
+
+// Per-item results of a batch; items fail on their own
+function runBatch(items, getPath, task) {
+  return Promise.all(items.map(async (item) => {
+    const itemPath = getPath(item);
+    try {
+      if (!isPathSafe(itemPath)) throw createProtocolError('INVALID_PATH', 'Invalid file path');
+      return { path: itemPath, ...(await task(item)), success: true };
+    } catch (error) {
+      return { path: itemPath, success: false, ...toErrorFields(error) };
+    }
+  }));
+}
+
 // Handle client connection
 wss.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress;
@@ -143,9 +1093,26 @@ wss.on('connection', (ws, req) => {
   ws.username = authData.username;
   ws.repoId = authData.repoId;
   ws.repoName = authData.repoName;
+  // watch subscriptions: id -> { patterns, matchers }
+  ws.watches = new Map();
+  // Chunked uploads in progress: uploadId -> upload
+  ws.uploads = new Map();
+  // Followed logs: tailId -> tail
+  ws.tails = new Map();
+  // Set by the client's hello
+  ws.protocolVersion = null;
   
   console.log('✅ Client connected: ' + authData.username + ' (' + authData.repoName + ')');
 
+  ws.send(JSON.stringify({
+    action: 'hello',
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    serverId: SERVER_ID,
+    actions: Object.keys(actionSchemas),
+    success: true,
+  }));
+
   // Connection health
   let isAlive = true;
   
@@ -163,96 +1130,218 @@ wss.on('connection', (ws, req) => {
   }, 20000);
 
   ws.on('message', async (message) => {
+    const username = ws.username || 'unknown';
+    let data = {};
+    // Every response to this request carries its requestId
+    const respond = (payload) => {
+      ws.send(JSON.stringify(data.requestId !== undefined ? { ...payload, requestId: data.requestId } : payload));
+    };
+
     try {
       const messageStr = typeof message === 'string' ? message : message.toString('utf8');
-      const data = JSON.parse(messageStr);
-      const username = ws.username || 'unknown';
+      let parsed;
+      try {
+        parsed = JSON.parse(messageStr);
+      } catch (error) {
+        throw createProtocolError('INVALID_JSON', 'Message is not valid JSON');
+      }
+      if (!RequestEnvelope.safeParse(parsed).success) {
+        throw createProtocolError('INVALID_PAYLOAD', 'A request needs an action and may have a string or number requestId');
+      }
+      data = parsed;
+      // Clients that skip the handshake speak version 1
+      if (ws.protocolVersion === null && data.action !== 'hello' && data.action !== 'ping') {
+        throw createProtocolError('UNSUPPORTED_PROTOCOL', 'Protocol version 1 is not supported; send { action: "hello", protocolVersion: ' + PROTOCOL_VERSION + ' } first');
+      }
+      validateRequest(data);
       
       // Handle ping action
       if (data.action === 'ping') {
-        ws.send(JSON.stringify({ action: 'pong' }));
+        respond({ action: 'pong' });
         return;
       }
       
-      // Validate path
-      if (data.path && !isPathSafe(data.path)) {
-        ws.send(JSON.stringify({
-          action: data.action,
-          path: data.path,
-          error: 'Invalid file path',
-          success: false,
-        }));
-        console.error('❌ Path traversal attempt blocked: ' + data.path + ' (user: ' + username + ')');
+      if (Object.hasOwn(GIT_ACTIONS, data.action)) {
+        try {
+          const result = await GIT_ACTIONS[data.action](process.cwd(), data);
+          respond({
+            action: data.action,
+            ...result,
+            success: true,
+          });
+          console.log('🔀 [' + username + '] ' + data.action);
+        } catch (error) {
+          respond({
+            action: data.action,
+            success: false,
+            ...toErrorFields(error),
+          });
+        }
         return;
       }
       
       // Handle file operations (using 'action' protocol)
       switch (data.action) {
-        case 'read':
+        case 'hello':
           try {
-            let content;
-            if (data.encoding === 'base64') {
-              const buffer = await fs.readFile(data.path);
-              content = buffer.toString('base64');
-            } else {
-              content = await fs.readFile(data.path, 'utf8');
+            const version = data.protocolVersion;
+            if (version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+              throw createProtocolError('UNSUPPORTED_PROTOCOL', 'Protocol version ' + version + ' is not supported (' + MIN_PROTOCOL_VERSION + '-' + PROTOCOL_VERSION + ')');
             }
-            ws.send(JSON.stringify({
+            ws.protocolVersion = version;
+            respond({
+              action: 'hello',
+              protocolVersion: version,
+              success: true,
+            });
+            console.log('🤝 [' + username + '] Protocol version ' + version);
+          } catch (error) {
+            respond({
+              action: 'hello',
+              protocolVersion: PROTOCOL_VERSION,
+              minProtocolVersion: MIN_PROTOCOL_VERSION,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'read':
+          try {
+            respond({
               action: 'read',
               path: data.path,
-              content,
-              encoding: data.encoding || 'utf8',
+              ...(await readFileWithVersion(data.path, data.encoding)),
               success: true,
-            }));
+            });
             console.log('📖 [' + username + '] Read file: ' + data.path + (data.encoding === 'base64' ? ' (base64)' : ''));
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'read',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
-        case 'write':
+        case 'stat':
           try {
-            const dirname = path.dirname(data.path);
-            await fs.mkdir(dirname, { recursive: true });
-            
-            if (data.encoding === 'base64') {
-              const buffer = Buffer.from(data.content, 'base64');
-              await fs.writeFile(data.path, buffer);
-            } else {
-              await fs.writeFile(data.path, data.content, 'utf8');
-            }
-            
-            // Touch global.css to trigger Tailwind CSS rebuild for files that might contain classes
-            // This fixes a race condition where Vite's eager glob imports can cache CSS before
-            // Tailwind has scanned new files for arbitrary values like h-[56px], w-[200px], etc.
-            const tailwindTriggerExtensions = ['.astro', '.tsx', '.jsx', '.html', '.mdx', '.md', '.vue', '.svelte'];
-            if (tailwindTriggerExtensions.some(ext => data.path.endsWith(ext))) {
-              try {
-                const now = new Date();
-                await fs.utimes('src/styles/global.css', now, now);
-              } catch (e) {
-                // Ignore if global.css doesn't exist
-              }
+            const stats = await fs.stat(data.path).catch((error) => {
+              if (error.code === 'ENOENT') return null;
+              throw error;
+            });
+            const version = stats && !stats.isDirectory() ? await getFileVersion(data.path) : null;
+            respond({
+              action: 'stat',
+              path: data.path,
+              exists: Boolean(stats),
+              isDirectory: Boolean(stats?.isDirectory()),
+              ...version,
+              success: true,
+            });
+          } catch (error) {
+            respond({
+              action: 'stat',
+              path: data.path,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'readMany':
+          try {
+            const results = await runBatch(data.paths, (itemPath) => itemPath, (itemPath) => readFileWithVersion(itemPath, data.encoding));
+            respond({
+              action: 'readMany',
+              results,
+              success: true,
+            });
+            console.log('📖 [' + username + '] Read ' + results.length + ' files');
+          } catch (error) {
+            respond({
+              action: 'readMany',
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'readChunk':
+          try {
+            const offset = data.offset || 0;
+            const length = data.length || DEFAULT_CHUNK_SIZE;
+            const handle = await fs.open(data.path, 'r');
+            let stats;
+            let chunk;
+            try {
+              stats = await handle.stat();
+              const buffer = Buffer.alloc(Math.max(0, Math.min(length, stats.size - offset)));
+              const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+              chunk = buffer.subarray(0, bytesRead);
+            } finally {
+              await handle.close();
             }
-            
-            ws.send(JSON.stringify({
+            // A changed mtime or size between chunks means the file changed mid-download
+            respond({
+              action: 'readChunk',
+              path: data.path,
+              offset,
+              content: chunk.toString('base64'),
+              encoding: 'base64',
+              size: stats.size,
+              mtime: stats.mtimeMs,
+              eof: offset + chunk.length >= stats.size,
+              success: true,
+            });
+          } catch (error) {
+            respond({
+              action: 'readChunk',
+              path: data.path,
+              offset: data.offset,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'write':
+          try {
+            const version = await writeFileChecked(data.path, data.content, data.encoding, data.expectedHash);
+            respond({
               action: 'write',
               path: data.path,
+              ...version,
               success: true,
-            }));
+            });
             console.log('💾 [' + username + '] Wrote file: ' + data.path);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'write',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
+            if (error.conflict) console.log('⚠️ [' + username + '] Write conflict: ' + data.path);
+          }
+          break;
+
+        case 'writeMany':
+          try {
+            const results = await runBatch(data.files, (file) => file.path, (file) => writeFileChecked(file.path, file.content, file.encoding, file.expectedHash));
+            respond({
+              action: 'writeMany',
+              results,
+              success: true,
+            });
+            console.log('💾 [' + username + '] Wrote ' + results.filter(result => result.success).length + ' of ' + results.length + ' files');
+          } catch (error) {
+            respond({
+              action: 'writeMany',
+              success: false,
+              ...toErrorFields(error),
+            });
           }
           break;
 
@@ -260,348 +1349,603 @@ wss.on('connection', (ws, req) => {
           try {
             const targetPath = data.path === '.' ? process.cwd() : path.join(process.cwd(), data.path);
             const files = await listDirectory(targetPath, data.path === '.' ? '' : data.path);
-            ws.send(JSON.stringify({
+            respond({
               action: 'list',
               path: data.path,
               files,
               success: true,
-            }));
+            });
             console.log('📂 [' + username + '] Listed directory: ' + data.path);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'list',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'delete':
           try {
-            const stats = await fs.stat(data.path);
-            if (stats.isDirectory()) {
-              await fs.rm(data.path, { recursive: true, force: true });
-            } else {
-              await fs.unlink(data.path);
-            }
-            ws.send(JSON.stringify({
+            await withFileLock(data.path, async () => {
+              const stats = await fs.stat(data.path);
+              if (stats.isDirectory()) {
+                await fs.rm(data.path, { recursive: true, force: true });
+              } else {
+                await fs.unlink(data.path);
+              }
+            });
+            respond({
               action: 'delete',
               path: data.path,
               success: true,
-            }));
+            });
             console.log('🗑️ [' + username + '] Deleted: ' + data.path);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'delete',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'rename':
           try {
-            if (!data.oldPath || !data.newPath) {
-              throw new Error('oldPath and newPath are required');
-            }
-            if (!isPathSafe(data.oldPath) || !isPathSafe(data.newPath)) {
-              throw new Error('Invalid path');
-            }
-            const newDir = path.dirname(data.newPath);
-            await fs.mkdir(newDir, { recursive: true });
-            await fs.rename(data.oldPath, data.newPath);
-            ws.send(JSON.stringify({
+            await withFileLocks([data.oldPath, data.newPath], async () => {
+              const source = await fs.lstat(data.oldPath);
+              const target = await fs.lstat(data.newPath).catch(() => null);
+              // The same inode is a case-only rename on a case-insensitive file system
+              if (target && !data.overwrite && target.ino !== source.ino) {
+                throw await createConflictError('Target already exists', data.newPath);
+              }
+              const newDir = path.dirname(data.newPath);
+              await fs.mkdir(newDir, { recursive: true });
+              await fs.rename(data.oldPath, data.newPath);
+            });
+            respond({
               action: 'rename',
               oldPath: data.oldPath,
               newPath: data.newPath,
               success: true,
-            }));
+            });
             console.log('📝 [' + username + '] Renamed: ' + data.oldPath + ' → ' + data.newPath);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'rename',
               oldPath: data.oldPath,
               newPath: data.newPath,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'create':
           try {
-            const dirname = path.dirname(data.path);
-            await fs.mkdir(dirname, { recursive: true });
-            await fs.writeFile(data.path, data.content || '', 'utf8');
-            
-            // Touch global.css to trigger Tailwind CSS rebuild (same as write action)
-            const tailwindTriggerExts = ['.astro', '.tsx', '.jsx', '.html', '.mdx', '.md', '.vue', '.svelte'];
-            if (tailwindTriggerExts.some(ext => data.path.endsWith(ext))) {
+            const version = await withFileLock(data.path, async () => {
               try {
-                const now = new Date();
-                await fs.utimes('src/styles/global.css', now, now);
-              } catch (e) {
-                // Ignore if global.css doesn't exist
+                return await writeFileAtomic(data.path, toBuffer(data.content, 'utf8'), { exclusive: true });
+              } catch (error) {
+                if (error.code === 'EEXIST') throw await createConflictError('File already exists', data.path, 'utf8');
+                throw error;
               }
-            }
+            });
+            await touchTailwindTrigger(data.path);
             
-            ws.send(JSON.stringify({
+            respond({
               action: 'create',
               path: data.path,
+              ...version,
               success: true,
-            }));
+            });
             console.log('✨ [' + username + '] Created file: ' + data.path);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'create',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'mkdir':
           try {
             await fs.mkdir(data.path, { recursive: true });
-            ws.send(JSON.stringify({
+            respond({
               action: 'mkdir',
               path: data.path,
               success: true,
-            }));
+            });
             console.log('📁 [' + username + '] Created directory: ' + data.path);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'mkdir',
               path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
-        case 'git':
+        case 'uploadStart':
           try {
-            const { command } = data;
-            const allowedCommands = ['status', 'diff', 'log', 'branch', 'add', 'commit', 'push', 'pull', 'fetch', 'checkout', 'stash'];
-            const gitCommand = command.split(' ')[0];
-            if (!allowedCommands.includes(gitCommand)) {
-              throw new Error('Git command not allowed');
+            const size = data.size;
+            if (ws.uploads.size >= MAX_UPLOADS_PER_CLIENT) {
+              throw createProtocolError('LIMIT_EXCEEDED', 'Too many uploads in progress (max ' + MAX_UPLOADS_PER_CLIENT + ')');
+            }
+            // Fail early; checked again when the upload finishes
+            if (data.expectedHash !== undefined) {
+              await assertFileVersion(data.path, data.expectedHash, 'base64');
             }
-            const { stdout, stderr } = await execAsync('git ' + command, { cwd: process.cwd() });
-            ws.send(JSON.stringify({
-              action: 'git',
+            await fs.mkdir(path.dirname(data.path), { recursive: true });
+            const tempPath = getTempPath(data.path);
+            const uploadId = 'upload-' + randomBytes(6).toString('hex');
+            ws.uploads.set(uploadId, {
+              path: data.path,
+              tempPath,
+              handle: await fs.open(tempPath, 'wx'),
+              size,
+              received: 0,
+              hash: createHash('sha256'),
+              expectedHash: data.expectedHash,
+              // Chunks are written in the order they were accepted
+              writing: Promise.resolve(),
+            });
+            respond({
+              action: 'uploadStart',
+              path: data.path,
+              uploadId,
+              chunkSize: DEFAULT_CHUNK_SIZE,
+              maxChunkSize: MAX_CHUNK_SIZE,
               success: true,
-              stdout,
-              stderr,
-            }));
-            console.log('🔀 [' + username + '] Git: ' + command);
+            });
+            console.log('⬆️ [' + username + '] Upload started: ' + data.path + ' (' + size + ' bytes)');
           } catch (error) {
-            ws.send(JSON.stringify({
-              action: 'git',
+            respond({
+              action: 'uploadStart',
+              path: data.path,
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
-        case 'gitStatus':
+        case 'uploadChunk':
           try {
-            const { stdout } = await execAsync('git status --porcelain', { cwd: process.cwd() });
-            const changes = stdout.trim().split('\n').filter(line => line.length > 0);
-            ws.send(JSON.stringify({
-              action: 'gitStatus',
+            const upload = getUpload(ws, data.uploadId);
+            // A chunk that doesn't continue where the last one ended is refused; resend from `received`
+            if (data.offset !== upload.received) {
+              throw createProtocolError('INVALID_PAYLOAD', 'Expected offset ' + upload.received);
+            }
+            const chunk = Buffer.from(data.content || '', 'base64');
+            if (chunk.length > MAX_CHUNK_SIZE) {
+              throw createProtocolError('LIMIT_EXCEEDED', 'Chunk too large (max ' + MAX_CHUNK_SIZE + ' bytes)');
+            }
+            if (upload.received + chunk.length > upload.size) {
+              throw createProtocolError('INVALID_PAYLOAD', 'Upload larger than the announced ' + upload.size + ' bytes');
+            }
+            const position = upload.received;
+            upload.received += chunk.length;
+            upload.hash.update(chunk);
+            upload.writing = upload.writing.then(() => upload.handle.write(chunk, 0, chunk.length, position));
+            await upload.writing;
+            respond({
+              action: 'uploadChunk',
+              uploadId: data.uploadId,
+              received: position + chunk.length,
               success: true,
-              changes: changes.length,
-              files: changes,
-            }));
+            });
           } catch (error) {
-            ws.send(JSON.stringify({
-              action: 'gitStatus',
+            respond({
+              action: 'uploadChunk',
+              uploadId: data.uploadId,
+              received: ws.uploads.get(String(data.uploadId))?.received,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'uploadFinish':
+          try {
+            const upload = getUpload(ws, data.uploadId);
+            if (upload.received !== upload.size) {
+              throw createProtocolError('INVALID_PAYLOAD', 'Upload incomplete: ' + upload.received + ' of ' + upload.size + ' bytes');
+            }
+            ws.uploads.delete(String(data.uploadId));
+            let version;
+            try {
+              await upload.writing;
+              const hash = upload.hash.digest('hex');
+              if (data.hash && data.hash !== hash) {
+                throw createProtocolError('HASH_MISMATCH', 'Upload corrupted: hash mismatch');
+              }
+              await upload.handle.sync();
+              await upload.handle.close();
+              version = await withFileLock(upload.path, async () => {
+                if (upload.expectedHash !== undefined) {
+                  await assertFileVersion(upload.path, upload.expectedHash, 'base64');
+                }
+                await commitTempFile(upload.tempPath, upload.path, false);
+                return toVersion(hash, await fs.stat(upload.path));
+              });
+            } catch (error) {
+              await discardUpload(upload);
+              throw error;
+            }
+            respond({
+              action: 'uploadFinish',
+              uploadId: data.uploadId,
+              path: upload.path,
+              ...version,
               success: true,
-              changes: 0,
-              files: [],
-            }));
+            });
+            console.log('💾 [' + username + '] Uploaded file: ' + upload.path);
+          } catch (error) {
+            respond({
+              action: 'uploadFinish',
+              uploadId: data.uploadId,
+              success: false,
+              ...toErrorFields(error),
+            });
           }
           break;
 
+        case 'uploadAbort':
+          try {
+            const upload = getUpload(ws, data.uploadId);
+            ws.uploads.delete(String(data.uploadId));
+            await discardUpload(upload);
+            respond({
+              action: 'uploadAbort',
+              uploadId: data.uploadId,
+              success: true,
+            });
+          } catch (error) {
+            respond({
+              action: 'uploadAbort',
+              uploadId: data.uploadId,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'gitStatus':
         case 'git-status':
           try {
-            const { stdout: statusOutput } = await execAsync('git status --porcelain', { cwd: process.cwd() });
-            const statusLines = statusOutput.trim().split('\n').filter(line => line.length > 0);
-            const parsedChanges = statusLines.map(line => {
-              const status = line.substring(0, 2);
-              const file = line.substring(3);
-              let type = 'modified';
-              if (status.includes('?')) type = 'untracked';
-              else if (status.includes('A')) type = 'added';
-              else if (status.includes('D')) type = 'deleted';
-              else if (status.includes('R')) type = 'renamed';
-              else if (status.includes('M')) type = 'modified';
-              return { file, status, type };
-            });
-            ws.send(JSON.stringify({
-              action: 'git-status',
+            const status = await git.getStatus(process.cwd());
+            respond({
+              action: data.action,
+              ...status,
               success: true,
-              changes: parsedChanges,
-            }));
-            console.log('🔀 [' + username + '] Git status: ' + parsedChanges.length + ' changes');
+            });
+            console.log('🔀 [' + username + '] Git status: ' + status.changes.length + ' changes');
           } catch (error) {
-            ws.send(JSON.stringify({
-              action: 'git-status',
+            respond({
+              action: data.action,
               success: false,
-              error: error.message,
+              ...toErrorFields(error),
               changes: [],
-            }));
+            });
           }
           break;
 
         case 'git-diff':
           try {
             const { file: diffFile } = data;
-            if (!diffFile) {
-              throw new Error('File path is required for git-diff');
-            }
-            const { stdout: diffOutput } = await execAsync('git diff -- ' + JSON.stringify(diffFile), { cwd: process.cwd() });
-            ws.send(JSON.stringify({
+            const { diff: diffOutput } = await git.getDiff(process.cwd(), { path: diffFile });
+            respond({
               action: 'git-diff',
               success: true,
               file: diffFile,
               diff: diffOutput,
-            }));
+            });
             console.log('🔀 [' + username + '] Git diff: ' + diffFile);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'git-diff',
               success: false,
-              error: error.message,
+              ...toErrorFields(error),
               diff: '',
-            }));
+            });
           }
           break;
 
         case 'git-commit':
           try {
             const { message: commitMsg } = data;
-            if (!commitMsg) {
-              throw new Error('Commit message is required');
-            }
             // First, stage all changes
-            await execAsync('git add -A', { cwd: process.cwd() });
+            await git.runGit(process.cwd(), ['add', '-A']);
             // Then commit with the message
-            const { stdout: commitOutput } = await execAsync('git commit -m ' + JSON.stringify(commitMsg), { cwd: process.cwd() });
-            ws.send(JSON.stringify({
+            const { output: commitOutput } = await git.commit(process.cwd(), { message: commitMsg });
+            respond({
               action: 'git-commit',
               success: true,
               message: commitMsg,
               output: commitOutput,
-            }));
+            });
             console.log('🔀 [' + username + '] Git commit: ' + commitMsg);
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'git-commit',
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'git-push':
           try {
-            const { stdout: pushOutput, stderr: pushStderr } = await execAsync('git push', { cwd: process.cwd() });
-            ws.send(JSON.stringify({
+            const { stdout: pushOutput, stderr: pushStderr } = await git.runGit(process.cwd(), ['push']);
+            respond({
               action: 'git-push',
               success: true,
               output: pushOutput || pushStderr,
-            }));
+            });
             console.log('🔀 [' + username + '] Git push completed');
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'git-push',
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'git-pull-force':
           try {
             // Fetch from origin and reset to match remote
-            await execAsync('git fetch origin', { cwd: process.cwd() });
+            await git.runGit(process.cwd(), ['fetch', 'origin']);
             // Get the current branch name
-            const { stdout: branchOutput } = await execAsync('git rev-parse --abbrev-ref HEAD', { cwd: process.cwd() });
+            const { stdout: branchOutput } = await git.runGit(process.cwd(), ['symbolic-ref', '--short', 'HEAD']);
             const currentBranch = branchOutput.trim();
             // Reset hard to origin branch
-            const { stdout: resetOutput, stderr: resetStderr } = await execAsync('git reset --hard origin/' + currentBranch, { cwd: process.cwd() });
-            ws.send(JSON.stringify({
+            const { stdout: resetOutput, stderr: resetStderr } = await git.runGit(process.cwd(), ['reset', '--hard', 'origin/' + currentBranch, '--']);
+            respond({
               action: 'git-pull-force',
               success: true,
               branch: currentBranch,
               output: resetOutput || resetStderr,
-            }));
+            });
             console.log('🔀 [' + username + '] Git pull force completed (branch: ' + currentBranch + ')');
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'git-pull-force',
               success: false,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
           }
           break;
 
         case 'exec':
           try {
-            const { command: execCommand } = data;
-            if (!execCommand) {
-              throw new Error('Command is required');
-            }
-            // Only allow specific safe commands
-            const allowedPatterns = [
-              /^cd\s+\/workspaces\/[^&;|]+\s*&&\s*npm\s+(install|i)\s+/,  // npm install
-              /^pm2\s+(restart|start|stop|reload)\s+/,  // pm2 commands
-              /^pkill\s+-f\s+/,  // process kill
-              /^npm\s+run\s+/,  // npm run scripts
-            ];
-            const isAllowed = allowedPatterns.some(pattern => pattern.test(execCommand));
-            if (!isAllowed) {
-              throw new Error('Command not allowed for security reasons');
+            const owner = ws.userId ?? ws.username;
+            const spec = await resolveCommand(data);
+            if (countRunningCommands(owner) >= MAX_EXECS_PER_USER) {
+              throw createProtocolError('LIMIT_EXCEEDED', 'Too many commands running (max ' + MAX_EXECS_PER_USER + ')');
             }
-            const { stdout: execOutput, stderr: execStderr } = await execAsync(execCommand, { 
-              cwd: process.cwd(),
-              timeout: 120000,  // 2 minute timeout for npm install
+            const commandLine = [spec.command, ...spec.args].join(' ');
+            const execId = 'exec-' + randomBytes(6).toString('hex');
+
+            // Output collected for up to EXEC_FLUSH_MS, per stream
+            const pending = { stdout: '', stderr: '' };
+            let flushTimer = null;
+            const flushOutput = () => {
+              clearTimeout(flushTimer);
+              flushTimer = null;
+              for (const stream of ['stdout', 'stderr']) {
+                if (!pending[stream]) continue;
+                respond({ action: 'execOutput', execId, stream, data: pending[stream] });
+                pending[stream] = '';
+              }
+            };
+
+            console.log('⚡ [' + username + '] Exec: ' + commandLine);
+            const result = await runCommand(execId, spec, {
+              owner,
+              timeout: data.timeout || EXEC_DEFAULT_TIMEOUT_MS,
+              onStart: (pid) => {
+                respond({ action: 'execStarted', execId, command: spec.command, args: spec.args, pid });
+              },
+              onOutput: (stream, text) => {
+                pending[stream] += text;
+                flushTimer ??= setTimeout(flushOutput, EXEC_FLUSH_MS);
+              },
             });
-            ws.send(JSON.stringify({
+            flushOutput();
+
+            const payload = {
               action: 'exec',
-              success: true,
-              command: execCommand,
-              output: execOutput || execStderr,
-            }));
-            console.log('⚡ [' + username + '] Exec: ' + execCommand);
+              execId,
+              command: data.command,
+              exitCode: result.exitCode,
+              signal: result.signal,
+              cancelled: result.cancelled,
+              timedOut: result.timedOut,
+              success: result.exitCode === 0,
+            };
+            if (result.cancelled) Object.assign(payload, { error: 'Command was cancelled', code: 'CANCELLED' });
+            else if (result.timedOut) Object.assign(payload, { error: 'Command timed out', code: 'TIMEOUT' });
+            else if (result.exitCode !== 0) Object.assign(payload, { error: 'Command exited with code ' + result.exitCode, code: 'COMMAND_FAILED' });
+            respond(payload);
+            console.log('⚡ [' + username + '] Exec finished: ' + commandLine + ' (' + (result.signal || 'exit ' + result.exitCode) + ')');
           } catch (error) {
-            ws.send(JSON.stringify({
+            respond({
               action: 'exec',
               success: false,
               command: data.command,
-              error: error.message,
-            }));
+              ...toErrorFields(error),
+            });
             console.error('❌ [' + username + '] Exec failed: ' + error.message);
           }
           break;
 
+        case 'execCancel':
+          try {
+            const run = runningCommands.get(data.execId);
+            if (!run || run.owner !== (ws.userId ?? ws.username)) {
+              throw createProtocolError('NOT_FOUND', 'No running command ' + data.execId);
+            }
+            if (!run.cancelled) {
+              run.cancelled = true;
+              stopCommand(run);
+            }
+            respond({
+              action: 'execCancel',
+              execId: data.execId,
+              success: true,
+            });
+            console.log('⚡ [' + username + '] Exec cancelled: ' + data.execId);
+          } catch (error) {
+            respond({
+              action: 'execCancel',
+              execId: data.execId,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'tailLog':
+          try {
+            const stream = data.stream || 'out';
+            const logFile = LOG_FILES[data.app]?.[stream];
+            if (!Object.hasOwn(LOG_FILES, data.app) || !logFile) {
+              throw createProtocolError('NOT_FOUND', 'No ' + stream + ' log for ' + data.app + ' (apps: ' + Object.keys(LOG_FILES).join(', ') + ')');
+            }
+            if (data.follow && ws.tails.size >= MAX_TAILS_PER_CLIENT) {
+              throw createProtocolError('LIMIT_EXCEEDED', 'Too many log tails (max ' + MAX_TAILS_PER_CLIENT + ')');
+            }
+            const { lines, position } = await readLastLines(logFile, data.lines ?? 100);
+            const tailId = data.follow ? 'tail-' + randomBytes(6).toString('hex') : undefined;
+            if (tailId) {
+              ws.tails.set(tailId, followLog(logFile, position, (newLines) => {
+                respond({ action: 'logLines', tailId, lines: newLines });
+              }));
+            }
+            respond({
+              action: 'tailLog',
+              tailId,
+              app: data.app,
+              stream,
+              lines,
+              success: true,
+            });
+            console.log('📜 [' + username + '] Tail log: ' + logFile + (tailId ? ' (following)' : ''));
+          } catch (error) {
+            respond({
+              action: 'tailLog',
+              app: data.app,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'untailLog': {
+          // Without a tailId, every tail of this connection ends
+          const tailIds = data.tailId ? [data.tailId] : [...ws.tails.keys()];
+          const stopped = tailIds.filter(tailId => {
+            const tail = ws.tails.get(tailId);
+            if (tail) clearInterval(tail.timer);
+            return ws.tails.delete(tailId);
+          });
+          respond({
+            action: 'untailLog',
+            tailIds: stopped,
+            success: true,
+          });
+          break;
+        }
+
+        case 'watch':
+          try {
+            const patterns = data.paths || [data.path || '.'];
+            const id = data.id ? String(data.id) : 'watch-' + (ws.watches.size + 1) + '-' + Date.now().toString(36);
+            if (!ws.watches.has(id) && ws.watches.size >= MAX_WATCHES_PER_CLIENT) {
+              throw createProtocolError('LIMIT_EXCEEDED', 'Too many watch subscriptions (max ' + MAX_WATCHES_PER_CLIENT + ')');
+            }
+            const subscription = { patterns, matchers: patterns.map(createMatcher) };
+
+            // Reconnecting clients catch up from their last cursor
+            let events = [];
+            let resync = false;
+            if (data.since) {
+              const missed = getEventsSince(data.since);
+              if (missed) events = filterEvents(missed, subscription.matchers);
+              else resync = true;
+            }
+
+            ws.watches.set(id, subscription);
+            startWatcher();
+            respond({
+              action: 'watch',
+              id,
+              paths: patterns,
+              cursor: getCursor(),
+              events,
+              resync,
+              success: true,
+            });
+            console.log('👀 [' + username + '] Watching: ' + patterns.join(', ') + (resync ? ' (resync)' : ''));
+          } catch (error) {
+            respond({
+              action: 'watch',
+              id: data.id,
+              success: false,
+              ...toErrorFields(error),
+            });
+          }
+          break;
+
+        case 'unwatch': {
+          // Without an id, every subscription of this connection ends
+          const ids = data.id ? [String(data.id)] : [...ws.watches.keys()];
+          const removed = ids.filter(id => ws.watches.delete(id));
+          stopWatcherIfUnused();
+          respond({
+            action: 'unwatch',
+            ids: removed,
+            success: true,
+          });
+          console.log('👀 [' + username + '] Unwatched: ' + (removed.join(', ') || 'nothing'));
+          break;
+        }
+
         default:
-          console.log('Unknown action: ' + data.action);
+          // An action with a schema but no handler
+          throw createProtocolError('UNKNOWN_ACTION', 'Unknown action: ' + data.action);
       }
     } catch (error) {
-      console.error('Error handling message:', error);
-      ws.send(JSON.stringify({ action: 'error', error: error.message, success: false }));
+      const code = getErrorCode(error);
+      if (code === 'INVALID_PATH') {
+        console.error('❌ Path traversal attempt blocked: ' + (data.path || data.oldPath || data.newPath || data.file) + ' (user: ' + username + ')');
+      } else if (code === 'INTERNAL_ERROR') {
+        console.error('Error handling message:', error);
+      } else {
+        console.log('⚠️ [' + username + '] Rejected ' + (data.action || 'message') + ': ' + error.message);
+      }
+      respond({ action: data.action || 'error', path: data.path, success: false, ...toErrorFields(error) });
     }
   });
   
-  ws.on('close', () => {
+  ws.on('close', async () => {
     clearInterval(pingInterval);
+    ws.watches.clear();
+    stopWatcherIfUnused();
+    for (const tail of ws.tails.values()) clearInterval(tail.timer);
+    ws.tails.clear();
+    const uploads = [...ws.uploads.values()];
+    ws.uploads.clear();
     console.log('🔌 Client disconnected: ' + ws.username);
+    await Promise.all(uploads.map(upload => discardUpload(upload).catch(error => {
+      console.error('Upload cleanup error (' + upload.tempPath + '):', error.message);
+    })));
   });
   
   ws.on('error', (error) => {
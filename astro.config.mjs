@@ -1,22 +1,163 @@
 import { defineConfig } from 'astro/config';
 import mdx from '@astrojs/mdx';
+import sitemap from '@astrojs/sitemap';
+import node from '@astrojs/node';
 import tailwindcss from '@tailwindcss/vite';
+import { loadEnv } from 'vite';
+import fs from 'node:fs';
+import { parseMenusConfig } from './src/config/menus.schema.mjs';
+
+// Expose WP_*, SITE_* and FEED_* variables from .env to src/lib, which reads named
+// sources (WP_STAGING_API_URL, ...) dynamically and so can't rely on import.meta.env
+const env = loadEnv(process.env.NODE_ENV === 'production' ? 'production' : 'development', process.cwd(), ['WP_', 'SITE_', 'FEED_']);
+for (const [key, value] of Object.entries(env)) {
+  process.env[key] ??= value;
+}
+
+// Allow remote images from every configured WordPress source
+const wpHosts = new Set(['webwork.lkouros.com']);
+for (const [key, value] of Object.entries(process.env)) {
+  if (/^WP_(?:[A-Z0-9_]+_)?API_URL$/.test(key) && value) {
+    try {
+      wpHosts.add(new URL(value).hostname);
+    } catch {
+      // Malformed URLs surface as errors on the first WordPress request
+    }
+  }
+}
+
+// Legacy WordPress permalinks, generated by scripts/generate-redirects.mjs.
+// Static builds emit a meta-refresh page for each; dynamic segments are left
+// to public/_redirects and the nginx map.
+function loadRedirects() {
+  try {
+    const { paths = {} } = JSON.parse(fs.readFileSync(new URL('./src/lib/redirects.json', import.meta.url), 'utf8'));
+    return Object.fromEntries(
+      Object.entries(paths)
+        .filter(([from]) => !/[[\]*]/.test(from))
+        .map(([from, to]) => [from, { status: 301, destination: to }])
+    );
+  } catch {
+    return {};
+  }
+}
+
+// Fail fast on a broken src/config/menus.json rather than on the first page
+// that renders a menu
+const menuConfig = {
+  name: 'menu-config',
+  hooks: {
+    'astro:config:setup': () => {
+      const file = new URL('./src/config/menus.json', import.meta.url);
+      if (!fs.existsSync(file)) return;
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`src/config/menus.json is not valid JSON: ${error.message}`);
+      }
+      parseMenusConfig(data);
+    },
+  },
+};
+
+// One-off builds and syncs ask WordPress about each URL once (see isFresh() in
+// src/lib/wordpress-cache.ts); `astro dev` and the preview server keep revalidating
+const wordpressCache = {
+  name: 'wordpress-cache',
+  hooks: {
+    'astro:config:setup': ({ command }) => {
+      if (command === 'build' || command === 'sync') globalThis[Symbol.for('wordpress.cacheForProcess')] = true;
+    },
+  },
+};
+
+// Draft preview (src/lib/preview.ts): deployments that set WP_PREVIEW_SECRET
+// become a Node server with one on-demand route; everything else is prerendered
+const previewEnabled = Boolean(process.env.WP_PREVIEW_SECRET);
+const preview = {
+  name: 'wordpress-preview',
+  hooks: {
+    'astro:config:setup': ({ injectRoute }) => {
+      injectRoute({ pattern: '/preview/[type]/[id]', entrypoint: './src/preview/PreviewRoute.astro', prerender: false });
+    },
+  },
+};
+
+// List the shortcodes and blocks src/lib/content-transform.ts had no handler for
+const contentWarnings = {
+  name: 'wordpress-content-warnings',
+  hooks: {
+    'astro:build:done': ({ logger }) => {
+      const warnings = globalThis[Symbol.for('wordpress.contentWarnings')];
+      if (!warnings?.size) return;
+      logger.warn(`${warnings.size} unhandled WordPress shortcode(s) or block(s) were left as HTML:`);
+      for (const { kind, name, count, paths } of warnings.values()) {
+        const more = paths.length > 3 ? `, +${paths.length - 3} more` : '';
+        logger.warn(`  ${kind} ${name} (${count}x): ${paths.slice(0, 3).join(', ')}${more}`);
+      }
+    },
+  },
+};
+
+// Upload URLs with no local copy in media-map.json (see src/lib/media-map.ts)
+const missingMedia = {
+  name: 'wordpress-missing-media',
+  hooks: {
+    'astro:build:done': ({ logger }) => {
+      const missing = globalThis[Symbol.for('wordpress.missingMedia')];
+      if (!missing?.size) return;
+      logger.warn(`${missing.size} WordPress upload(s) are still loaded from WordPress; run \`npm run sync-media\`:`);
+      for (const { url, reason, pages, candidates } of missing.values()) {
+        const more = pages.length > 3 ? `, +${pages.length - 3} more` : '';
+        const usedOn = pages.length > 0 ? `: ${pages.slice(0, 3).join(', ')}${more}` : '';
+        const detail = reason === 'ambiguous' ? ` (file name shared by ${candidates.join(', ')})` : '';
+        logger.warn(`  ${url}${detail}${usedOn}`);
+      }
+    },
+  },
+};
+
+// XML sitemap index, one sitemap per content type. Pages record their lastmod,
+// images and robots directives as they render (see src/lib/sitemap.ts).
+const sitemapSection = (...sections) => (item) => {
+  const { pathname } = new URL(item.url);
+  return sections.some(section => pathname === section || pathname.startsWith(`${section}/`)) ? item : undefined;
+};
+const xmlSitemap = sitemap({
+  serialize: (item) => {
+    const entries = globalThis[Symbol.for('wordpress.sitemap')];
+    const pathname = new URL(item.url).pathname.replace(/(.)\/+$/, '$1');
+    const entry = entries?.get(pathname);
+    // Noindex pages, and pages not rendered with BaseLayout (redirects)
+    if (!entry || entry.noindex) return undefined;
+    return {
+      ...item,
+      lastmod: entry.lastmod,
+      img: entry.images.map(url => ({ url })),
+    };
+  },
+  // Everything else goes to sitemap-pages-*.xml
+  chunks: {
+    posts: sitemapSection('/blog'),
+    projects: sitemapSection('/project'),
+    taxonomies: sitemapSection('/category', '/tag', '/author'),
+  },
+});
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [mdx()],
+  // Production URL for canonical links, Open Graph and structured data
+  site: process.env.SITE_URL || undefined,
+  integrations: [mdx(), xmlSitemap, menuConfig, wordpressCache, contentWarnings, missingMedia, ...(previewEnabled ? [preview] : [])],
+  adapter: previewEnabled ? node({ mode: 'standalone' }) : undefined,
+  redirects: loadRedirects(),
   image: {
     // Allow images from WordPress (fallback if not downloaded locally)
-    remotePatterns: [
-      {
-        protocol: 'https',
-        hostname: 'webwork.lkouros.com',
-      },
-      {
-        protocol: 'http',
-        hostname: 'webwork.lkouros.com',
-      },
-    ],
+    remotePatterns: [...wpHosts].flatMap((hostname) => [
+      { protocol: 'https', hostname },
+      { protocol: 'http', hostname },
+    ]),
   },
   vite: {
     plugins: [tailwindcss()],
@@ -1,5 +1,6 @@
 const CACHE_NAME = 'pwa-cache-v1768815534464';
-const PRECACHE_URLS = ["/"];
+// Search runs entirely client-side, so its page and index are kept for offline use
+const PRECACHE_URLS = ["/", "/search", "/search-index.json"];
 
 // Check if a client is running as installed PWA (standalone mode)
 async function isStandaloneMode() {
@@ -45,7 +46,8 @@ self.addEventListener('fetch', (event) => {
 
 async function handleFetch(request) {
     const cache = await caches.open(CACHE_NAME);
-    const cachedResponse = await cache.match(request);
+    // Static pages ignore query strings (e.g. /search?q=...), so match without them
+    const cachedResponse = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
     
     if (cachedResponse) {
         // Update cache in background
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * Generate Redirects Script
+ *
+ * Maps every WordPress permalink to its route on this site so old inbound
+ * links keep working after the migration:
+ *
+ *   /2023/05/my-post/   -> /blog/my-post        (post `link`)
+ *   /?p=123             -> /blog/my-post        (plain permalinks)
+ *   /parent/child/      -> /child               (page `link`)
+ *   /?page_id=45        -> /child
+ *   /?cat=3, /?tag=x, /?author=2                (terms and authors)
+ *   /feed/, /category/news/feed/atom/ -> /feed.xml, /category/news/atom.xml
+ *
+ * Runs automatically as `prebuild`, after sync-media. It can also be run by hand:
+ *   node scripts/generate-redirects.mjs [--dry-run] [--strict] [--report=redirects-report.json]
+ *
+ * Outputs:
+ * - src/lib/redirects.json   read by astro.config.mjs, which registers the path
+ *                            redirects with Astro (static builds get meta-refresh
+ *                            pages), and served at /legacy-redirects.json for the
+ *                            client-side fallback that handles ?p= style URLs
+ * - public/_redirects        Netlify / Cloudflare Pages rules (real 301s)
+ * - nginx-redirects.conf     `map` blocks for nginx (see the file header)
+ *
+ * Redirects configured in the Redirection plugin are included when the source
+ * has credentials. Chains (A -> B -> C) are collapsed to A -> C, and loops,
+ * collisions and redirects that would shadow a real page are dropped; all of
+ * them are listed in the report.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR, loadEnv, createApi } from './lib/wordpress-client.mjs';
+import { getSource, getAuthHeaders } from '../src/lib/wordpress-sources.mjs';
+
+const DEFAULTS = {
+  mapFile: path.join(ROOT_DIR, 'src/lib/redirects.json'),
+  netlifyFile: path.join(ROOT_DIR, 'public/_redirects'),
+  nginxFile: path.join(ROOT_DIR, 'nginx-redirects.conf'),
+};
+
+// Routes of this site for each WordPress object type (see src/pages/)
+export const ROUTES = {
+  post: (item) => `/blog/${item.slug}`,
+  page: (item) => (item.slug === 'home' ? '/' : `/${item.slug}`),
+  project: (item) => `/project/${item.slug}`,
+  category: (item) => `/category/${item.slug}`,
+  post_tag: (item) => `/tag/${item.slug}`,
+  author: (item) => `/author/${item.slug}`,
+};
+
+// Plain-permalink query parameters WordPress resolves, and the field they carry
+const QUERY_PARAMS = {
+  post: { p: 'id' },
+  page: { page_id: 'id' },
+  project: { p: 'id' },
+  category: { cat: 'id' },
+  post_tag: { tag: 'slug' },
+  author: { author: 'id' },
+};
+
+// WordPress feed URLs, relative to an archive, and the feed file that replaces
+// each one (see FEED_FILES in src/lib/feeds.ts)
+export const LEGACY_FEEDS = {
+  'feed': 'feed.xml',
+  'feed/rss': 'feed.xml',
+  'feed/rss2': 'feed.xml',
+  'feed/atom': 'atom.xml',
+};
+
+// Archives with feeds besides the site itself and /project (see getFeedScopes)
+const FEED_TYPES = ['category', 'post_tag', 'author'];
+
+// Pages that exist regardless of content; a redirect must never replace them
+const STATIC_ROUTES = ['/', '/blog', '/category', '/tag', '/author', '/project', '/search', '/404'];
+
+const ENDPOINTS = [
+  { type: 'post', endpoint: 'wp/v2/posts' },
+  { type: 'page', endpoint: 'wp/v2/pages' },
+  { type: 'project', endpoint: 'wp/v2/project' },
+  { type: 'category', endpoint: 'wp/v2/categories' },
+  { type: 'post_tag', endpoint: 'wp/v2/tags' },
+  { type: 'author', endpoint: 'wp/v2/users' },
+];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function log(message) {
+  console.log('[redirects] ' + message);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'dry-run') options.dryRun = true;
+    else if (key === 'strict') options.strict = true;
+    else if (key === 'report') options.report = value || 'redirects-report.json';
+  }
+  return options;
+}
+
+/**
+ * Normalize a URL or path to a decoded path without a trailing slash
+ */
+export function normalizePath(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://localhost').pathname;
+  } catch {
+    return null;
+  }
+  try {
+    pathname = decodeURI(pathname);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+async function writeFileAtomic(file, contents) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = file + '.part';
+  await fs.writeFile(tmp, contents, 'utf8');
+  await fs.rename(tmp, file);
+}
+
+// ============================================================================
+// Map building
+// ============================================================================
+
+/**
+ * Build the redirect map from WordPress objects and plugin redirects
+ * @param {Array<{type: string, id: number, slug: string, link?: string}>} items
+ * @param {Array<{from: string, to: string}>} [extra] Explicit redirects, which win over permalinks
+ */
+export function buildRedirectMap(items, extra = []) {
+  const report = { collisions: [], shadowed: [], chains: [], loops: [], unrouted: [] };
+  const candidates = [];
+  const query = {};
+  const targets = new Set(STATIC_ROUTES);
+
+  // Feeds of an archive, under both its WordPress permalink and its route here
+  const addFeeds = (bases, archive, source) => {
+    for (const base of new Set(bases)) {
+      for (const [legacy, file] of Object.entries(LEGACY_FEEDS)) {
+        candidates.push({ from: `${base === '/' ? '' : base}/${legacy}`, to: `${archive}/${file}`, source });
+      }
+    }
+  };
+  addFeeds(['/'], '', 'site feed');
+  addFeeds(['/project'], '/project', 'project feed');
+
+  for (const item of items) {
+    const route = ROUTES[item.type];
+    if (!route || !item.slug) {
+      report.unrouted.push({ type: item.type, id: item.id, link: item.link });
+      continue;
+    }
+    const to = route(item);
+    targets.add(to);
+
+    if (item.link) {
+      candidates.push({ from: normalizePath(item.link), to, source: `${item.type} ${item.id}` });
+    }
+    if (FEED_TYPES.includes(item.type)) {
+      addFeeds([to, item.link && normalizePath(item.link)].filter(Boolean), to, `${item.type} ${item.id} feed`);
+    }
+    for (const [param, field] of Object.entries(QUERY_PARAMS[item.type] || {})) {
+      const value = String(item[field]);
+      query[param] ??= {};
+      if (query[param][value] && query[param][value] !== to) {
+        report.collisions.push({ from: `?${param}=${value}`, kept: query[param][value], dropped: to });
+        continue;
+      }
+      query[param][value] = to;
+    }
+  }
+
+  // Explicit redirects first, so they win collisions like they did on WordPress
+  const ordered = [
+    ...extra.map((redirect) => ({ from: normalizePath(redirect.from), to: normalizePath(redirect.to) ?? redirect.to, source: 'plugin' })),
+    ...candidates,
+  ];
+
+  const paths = {};
+  for (const { from, to, source } of ordered) {
+    if (!from || from === to) continue;
+    if (targets.has(from)) {
+      report.shadowed.push({ from, to, source });
+      continue;
+    }
+    if (paths[from] && paths[from] !== to) {
+      report.collisions.push({ from, kept: paths[from], dropped: to, source });
+      continue;
+    }
+    paths[from] = to;
+  }
+
+  // Collapse chains and drop loops, resolving against the map as collected
+  const resolved = {};
+  for (const [from, first] of Object.entries(paths)) {
+    const seen = [from];
+    let to = first;
+    while (paths[to] !== undefined && !seen.includes(to)) {
+      seen.push(to);
+      to = paths[to];
+    }
+    if (seen.includes(to)) {
+      report.loops.push([...seen, to]);
+      continue;
+    }
+    if (seen.length > 1) report.chains.push([...seen, to]);
+    resolved[from] = to;
+  }
+
+  return { paths: resolved, query, report };
+}
+
+// ============================================================================
+// Output formats
+// ============================================================================
+
+export function toNetlifyRedirects({ paths, query }) {
+  const lines = ['# Generated by scripts/generate-redirects.mjs - do not edit', ''];
+  for (const [from, to] of Object.entries(paths)) {
+    lines.push(`${encodeURI(from)} ${encodeURI(to)} 301`);
+  }
+  for (const [param, values] of Object.entries(query)) {
+    for (const [value, to] of Object.entries(values)) {
+      lines.push(`/ ${param}=${encodeURIComponent(value)} ${encodeURI(to)} 301`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function nginxString(value) {
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+export function toNginxMaps({ paths, query }) {
+  const lines = [
+    '# Generated by scripts/generate-redirects.mjs - do not edit',
+    '#',
+    '# Include this file in the http {} block, then add to the server {} block:',
+    '#   if ($wp_redirect) { return 301 $wp_redirect; }',
+    ...Object.keys(query).map((param) => `#   if ($wp_redirect_${param}) { return 301 $wp_redirect_${param}; }`),
+    '',
+    'map $uri $wp_redirect {',
+  ];
+  for (const [from, to] of Object.entries(paths)) {
+    // $uri is decoded, so the keys match the map as-is
+    lines.push(`  ${nginxString(from)} ${nginxString(encodeURI(to))};`);
+    lines.push(`  ${nginxString(from + '/')} ${nginxString(encodeURI(to))};`);
+  }
+  lines.push('}');
+  for (const [param, values] of Object.entries(query)) {
+    lines.push('', `map $arg_${param} $wp_redirect_${param} {`);
+    for (const [value, to] of Object.entries(values)) {
+      lines.push(`  ${nginxString(value)} ${nginxString(encodeURI(to))};`);
+    }
+    lines.push('}');
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// WordPress API
+// ============================================================================
+
+async function fetchItems(api) {
+  const items = [];
+  for (const { type, endpoint } of ENDPOINTS) {
+    try {
+      const results = await api.getAll(endpoint, { _fields: 'id,slug,link' });
+      items.push(...results.map((item) => ({ type, id: item.id, slug: item.slug, link: item.link })));
+    } catch (error) {
+      // The project post type is optional; anything else is a real failure
+      if (type === 'project' && /^404\b/.test(error.message)) continue;
+      throw error;
+    }
+  }
+  return items;
+}
+
+/**
+ * Redirects from the Redirection plugin (needs credentials); empty when unavailable
+ */
+async function fetchPluginRedirects(api) {
+  try {
+    const redirects = [];
+    let page = 0;
+    let total = 0;
+    do {
+      const { data } = await api.get('redirection/v1/redirect', { per_page: 200, page, 'filterBy[status]': 'enabled' });
+      total = data.total || 0;
+      for (const item of data.items || []) {
+        const target = item.action_data?.url;
+        if (item.regex || item.match_type !== 'url' || typeof target !== 'string') continue;
+        redirects.push({ from: item.url, to: target });
+      }
+      page++;
+      if (!data.items?.length) break;
+    } while (page * 200 < total);
+    if (redirects.length > 0) log('Included ' + redirects.length + ' Redirection plugin redirect(s)');
+    return redirects;
+  } catch {
+    return [];
+  }
+}
+
+// ============================================================================
+// Generate
+// ============================================================================
+
+/**
+ * Fetch WordPress permalinks and write the redirect map and server configs
+ */
+export async function generateRedirects(options) {
+  const opts = { ...DEFAULTS, ...options };
+  const api = createApi(opts.apiUrl, opts.headers);
+
+  const [items, extra] = await Promise.all([fetchItems(api), fetchPluginRedirects(api)]);
+  const { paths, query, report } = buildRedirectMap(items, extra);
+
+  const queryCount = Object.values(query).reduce((sum, values) => sum + Object.keys(values).length, 0);
+  log(`${Object.keys(paths).length} path and ${queryCount} query redirect(s) from ${items.length} WordPress object(s)`);
+
+  for (const { from, kept, dropped } of report.collisions) {
+    log(`Collision: ${from} -> ${kept} (dropped ${dropped})`);
+  }
+  for (const { from, to, source } of report.shadowed) {
+    log(`Skipped ${from} -> ${to} (${source}): ${from} is a page on this site`);
+  }
+  for (const chain of report.chains) {
+    log('Chain collapsed: ' + chain.join(' -> '));
+  }
+  for (const loop of report.loops) {
+    log('Loop dropped: ' + loop.join(' -> '));
+  }
+
+  if (opts.report) {
+    await writeFileAtomic(path.resolve(ROOT_DIR, opts.report), JSON.stringify(report, null, 2) + '\n');
+    log('Report written to ' + opts.report);
+  }
+
+  if (opts.dryRun) {
+    log('Dry run, nothing written.');
+    return { paths, query, report };
+  }
+
+  await writeFileAtomic(opts.mapFile, JSON.stringify({ paths, query }, null, 2) + '\n');
+  await writeFileAtomic(opts.netlifyFile, toNetlifyRedirects({ paths, query }));
+  await writeFileAtomic(opts.nginxFile, toNginxMaps({ paths, query }));
+  log('Wrote ' + path.relative(ROOT_DIR, opts.mapFile) + ', ' + path.relative(ROOT_DIR, opts.netlifyFile) + ' and ' + path.relative(ROOT_DIR, opts.nginxFile));
+
+  return { paths, query, report };
+}
+
+async function main() {
+  loadEnv();
+  if (/^(1|true|yes|on)$/i.test(process.env.WP_OFFLINE || '')) {
+    log('Offline build (WP_OFFLINE), keeping the existing redirect map.');
+    return;
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    const source = getSource();
+    const { report } = await generateRedirects({ apiUrl: source.apiUrl, headers: getAuthHeaders(source), ...args });
+    if (args.strict && (report.collisions.length > 0 || report.loops.length > 0)) process.exitCode = 1;
+  } catch (error) {
+    log('Failed: ' + (error instanceof Error ? error.message : error));
+    log('The existing redirect map was left in place.');
+    if (args.strict) process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
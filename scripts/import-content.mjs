@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * Import WordPress Content into Astro Content Collections
+ *
+ * Converts WordPress posts, pages or custom post type items into Markdown/MDX
+ * entries under src/content/<collection>/, validated against the collection's
+ * schema in src/content/schemas.mjs. Meant for moving off the live CMS one
+ * collection at a time.
+ *
+ * Usage:
+ *   node scripts/import-content.mjs <collection> [options]
+ *
+ *   --from=<restBase>   WordPress REST base to import (default: see COLLECTION_SOURCES)
+ *   --format=md|mdx     Output format (default: md)
+ *   --status=<status>   Post status to import, e.g. publish,draft (needs credentials)
+ *   --overwrite         Replace entries that already exist
+ *   --dry-run           Convert and validate, but write nothing
+ *   --report=<file>     Also write the import report as JSON
+ *
+ * Field mapping:
+ *   file name    slug, else generated_slug (unpublished drafts), else the ID
+ *   title        title.rendered
+ *   description  SEO description (Yoast, Rank Math, AIOSEO), else the excerpt
+ *   date         date (YYYY-MM-DD)
+ *   image        featured image, local path from src/lib/media-map.json if synced
+ *   tags         post_tag and other *_tag taxonomies
+ *   categories   category and other taxonomies (`category` gets the first one)
+ *   anything else from ACF fields (item.acf) with a matching name
+ *
+ * Entries that fail schema validation are reported and not written.
+ * The exit code is 1 if any entry failed.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import TurndownService from 'turndown';
+import { gfm } from 'turndown-plugin-gfm';
+import { schemas } from '../src/content/schemas.mjs';
+import { ROOT_DIR, loadEnv, createApi } from './lib/wordpress-client.mjs';
+import { getSource, getAuthHeaders } from '../src/lib/wordpress-sources.mjs';
+import { buildMediaIndex, findMedia, readMediaFiles } from '../src/lib/media-index.mjs';
+
+// Default WordPress REST base for each collection
+const COLLECTION_SOURCES = {
+  projects: 'project',
+  products: 'product',
+};
+
+const CONTENT_DIR = path.join(ROOT_DIR, 'src/content');
+const MEDIA_MAP_FILE = path.join(ROOT_DIR, 'src/lib/media-map.json');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function log(message) {
+  console.log('[import-content] ' + message);
+}
+
+function parseArgs(argv) {
+  const options = { collection: null, format: 'md' };
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      options.collection = arg;
+      continue;
+    }
+    const [key, ...rest] = arg.slice(2).split('=');
+    const value = rest.join('=');
+    if (key === 'from') options.from = value;
+    else if (key === 'format') options.format = value === 'mdx' ? 'mdx' : 'md';
+    else if (key === 'status') options.status = value;
+    else if (key === 'overwrite') options.overwrite = true;
+    else if (key === 'dry-run') options.dryRun = true;
+    else if (key === 'report') options.report = value;
+  }
+  return options;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function htmlToText(html) {
+  return decodeEntities((html || '').replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Serialize frontmatter as YAML (JSON scalars are valid YAML)
+ */
+function toFrontmatter(data) {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// ============================================================================
+// Media
+// ============================================================================
+
+/**
+ * Lookup index over media-map.json, the one the site build uses
+ */
+async function loadMediaIndex() {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(MEDIA_MAP_FILE, 'utf8'));
+  } catch {
+    data = {};
+  }
+  return buildMediaIndex(readMediaFiles(data));
+}
+
+/**
+ * Resolve a WordPress upload URL to its local copy (like getLocalImageUrl)
+ */
+function createLocalizer(mediaIndex) {
+  return (url) => (url && findMedia(mediaIndex, url)?.local) || url;
+}
+
+// ============================================================================
+// HTML -> Markdown
+// ============================================================================
+
+function createConverter(format, localize) {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '*',
+  });
+  turndown.use(gfm);
+  turndown.keep(['iframe', 'video', 'audio']);
+  turndown.remove(['script', 'style', 'noscript']);
+
+  // Images: local paths, no srcset
+  turndown.addRule('image', {
+    filter: 'img',
+    replacement: (_content, node) => {
+      const src = localize(node.getAttribute('src') || '');
+      if (!src) return '';
+      const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '');
+      return `![${alt}](${src})`;
+    },
+  });
+
+  // Gutenberg image blocks: image followed by an italic caption
+  turndown.addRule('figure', {
+    filter: (node) => node.nodeName === 'FIGURE' && !node.classList.contains('wp-block-embed') && !node.classList.contains('wp-block-table'),
+    replacement: (content, node) => {
+      const caption = node.querySelector('figcaption');
+      const captionText = caption ? htmlToText(caption.innerHTML) : '';
+      return `\n\n${content.trim()}${captionText ? `\n*${captionText}*` : ''}\n\n`;
+    },
+  });
+  turndown.addRule('figcaption', {
+    filter: 'figcaption',
+    replacement: () => '',
+  });
+
+  // Embeds (YouTube, Twitter, ...): the URL on its own line
+  turndown.addRule('embed', {
+    filter: (node) => node.nodeName === 'FIGURE' && node.classList.contains('wp-block-embed'),
+    replacement: (_content, node) => {
+      const wrapper = node.querySelector('.wp-block-embed__wrapper');
+      const url = (wrapper?.textContent || '').trim();
+      const iframe = node.querySelector('iframe');
+      if (url) return `\n\n${url}\n\n`;
+      return iframe ? `\n\n${iframe.outerHTML}\n\n` : '';
+    },
+  });
+
+  return (html) => {
+    const cleaned = (html || '').replace(/<!--[\s\S]*?-->/g, '');
+    const markdown = turndown.turndown(cleaned).replace(/\n{3,}/g, '\n\n').trim();
+    return (format === 'mdx' ? escapeMdx(markdown) : markdown) + '\n';
+  };
+}
+
+// A code span, an unescaped brace or a style attribute
+const MDX_UNSAFE = /(?<!`)(`+)(?!`)[\s\S]*?[^`]\1(?!`)|(?<!\\)[{}]|\sstyle="[^"]*"/g;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * MDX treats braces as expressions, and style strings are not valid JSX
+ * Fenced code blocks and code spans are literal in MDX, so they are left as is.
+ */
+function escapeMdx(markdown) {
+  const output = [];
+  let text = [];
+  let fence = null;
+
+  const flush = () => {
+    if (text.length === 0) return;
+    output.push(text.join('\n').replace(MDX_UNSAFE, (match, ticks) => {
+      if (ticks) return match;
+      return match === '{' || match === '}' ? '\\' + match : '';
+    }));
+    text = [];
+  };
+
+  for (const line of markdown.split('\n')) {
+    const marker = line.match(FENCE)?.[1];
+    if (fence) {
+      output.push(line);
+      const closes = marker && marker[0] === fence[0] && marker.length >= fence.length && line.trim() === marker;
+      if (closes) fence = null;
+    } else if (marker) {
+      flush();
+      output.push(line);
+      fence = marker;
+    } else {
+      text.push(line);
+    }
+  }
+  flush();
+  return output.join('\n');
+}
+
+// ============================================================================
+// Field mapping
+// ============================================================================
+
+function getTerms(item) {
+  const groups = item._embedded?.['wp:term'] || [];
+  const tags = [];
+  const categories = [];
+  for (const group of groups) {
+    for (const term of group || []) {
+      if (!term?.name) continue;
+      const name = decodeEntities(term.name);
+      if (term.taxonomy === 'post_tag' || term.taxonomy?.endsWith('_tag')) tags.push(name);
+      else categories.push(name);
+    }
+  }
+  return { tags, categories };
+}
+
+function getSEODescription(item) {
+  return item.yoast_head_json?.description || item.rank_math?.description || item.aioseo?.description || '';
+}
+
+/**
+ * Map a WordPress item onto the fields of a collection schema
+ */
+function mapFields(item, schema, localize) {
+  const shape = schema.shape;
+  const { tags, categories } = getTerms(item);
+  const featured = item._embedded?.['wp:featuredmedia']?.[0]?.source_url;
+  const excerpt = htmlToText(item.excerpt?.rendered).replace(/\s*(\[…\]|\[\.\.\.\]|…)$/, '');
+
+  const candidate = {
+    title: htmlToText(item.title?.rendered),
+    description: getSEODescription(item) || excerpt,
+    date: item.date ? item.date.slice(0, 10) : undefined,
+    image: featured ? localize(featured) : undefined,
+    tags: tags.length > 0 ? tags : undefined,
+    categories: categories.length > 0 ? categories : undefined,
+    category: categories[0],
+  };
+
+  // ACF fields with a matching schema key win over derived values
+  for (const [key, value] of Object.entries(item.acf || {})) {
+    if (key in shape && value !== null && value !== '' && value !== false) {
+      candidate[key] = value;
+    }
+  }
+
+  const data = {};
+  for (const key of Object.keys(shape)) {
+    if (candidate[key] !== undefined) data[key] = candidate[key];
+  }
+  return data;
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Entry file name: the slug, else generated_slug (drafts have no slug until
+ * they are published), else the ID. Null if it would leave the collection
+ * directory.
+ */
+function getEntrySlug(item) {
+  const slug = String(item.slug || item.generated_slug || item.id || '').trim();
+  if (!slug || slug.startsWith('.') || /[\\/\0]/.test(slug)) return null;
+  return slug;
+}
+
+/**
+ * Import one collection
+ *
+ * @param options.collection - Collection name (must exist in src/content/schemas.mjs)
+ * @param options.from - WordPress REST base (defaults to COLLECTION_SOURCES)
+ * @param options.api - Client from createApi()
+ * @returns Report with one result per WordPress item
+ */
+export async function importCollection(options) {
+  const schema = schemas[options.collection];
+  if (!schema) {
+    throw new Error(`Unknown collection "${options.collection}". Known collections: ${Object.keys(schemas).join(', ')}`);
+  }
+  const restBase = options.from || COLLECTION_SOURCES[options.collection];
+  if (!restBase) {
+    throw new Error(`No WordPress source for "${options.collection}"; pass --from=<restBase>`);
+  }
+
+  const localize = createLocalizer(await loadMediaIndex());
+  const convert = createConverter(options.format || 'md', localize);
+  const outDir = options.outDir || path.join(CONTENT_DIR, options.collection);
+  const ext = options.format === 'mdx' ? '.mdx' : '.md';
+
+  const items = await options.api.getAll('wp/v2/' + restBase, { _embed: true, status: options.status });
+  log(`Fetched ${items.length} items from ${restBase}`);
+
+  const report = { collection: options.collection, from: restBase, written: 0, skipped: 0, invalid: 0, results: [] };
+
+  // Slug -> ID of the item that claimed it in this run
+  const claimed = new Map();
+
+  for (const item of items) {
+    const slug = getEntrySlug(item);
+    const file = slug ? path.join(outDir, slug + ext) : null;
+    const data = mapFields(item, schema, localize);
+    const parsed = schema.safeParse(data);
+    const body = convert(item.content?.rendered);
+    const shortcodes = [...new Set(body.match(/\[[a-z_-]+(?=[\s\]])/gi) || [])].map(code => code.slice(1));
+    const result = { id: item.id, slug: slug ?? item.slug, file: file && path.relative(ROOT_DIR, file), status: 'written', issues: [], warnings: [] };
+
+    if (shortcodes.length > 0) {
+      result.warnings.push('Unconverted shortcodes: ' + shortcodes.join(', '));
+    }
+
+    if (!slug || claimed.has(slug)) {
+      result.status = 'invalid';
+      result.issues = [slug ? `slug: "${slug}" is also used by item ${claimed.get(slug)}` : `slug: ${JSON.stringify(item.slug)} is not a valid file name`];
+      report.invalid++;
+    } else if (!parsed.success) {
+      result.status = 'invalid';
+      result.issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+      report.invalid++;
+    } else if (!options.overwrite && await fs.access(file).then(() => true, () => false)) {
+      result.status = 'skipped';
+      result.warnings.push('Entry exists (use --overwrite to replace it)');
+      report.skipped++;
+    } else {
+      if (!options.dryRun) {
+        await fs.mkdir(outDir, { recursive: true });
+        await fs.writeFile(file, toFrontmatter(parsed.data) + '\n' + body, 'utf8');
+      }
+      report.written++;
+    }
+
+    if (result.status !== 'invalid') claimed.set(slug, item.id);
+    report.results.push(result);
+  }
+
+  return report;
+}
+
+function printReport(report, dryRun) {
+  for (const result of report.results) {
+    if (result.status === 'invalid') {
+      log(`✗ ${result.slug} (id ${result.id}) violates the ${report.collection} schema:`);
+      for (const issue of result.issues) log('    ' + issue);
+    }
+    for (const warning of result.warnings) log(`! ${result.slug}: ${warning}`);
+  }
+  log(`${dryRun ? 'Dry run: ' : ''}${report.written} written, ${report.skipped} skipped, ${report.invalid} invalid`);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+async function main() {
+  loadEnv();
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.collection) {
+    log('Usage: node scripts/import-content.mjs <collection> [--from=<restBase>] [--format=md|mdx] [--overwrite] [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const source = getSource();
+    const api = createApi(source.apiUrl, getAuthHeaders(source));
+    const report = await importCollection({ ...options, api });
+    printReport(report, options.dryRun);
+    if (options.report) {
+      await fs.writeFile(path.resolve(options.report), JSON.stringify(report, null, 2) + '\n', 'utf8');
+    }
+    if (report.invalid > 0) process.exitCode = 1;
+  } catch (error) {
+    log('Import failed: ' + (error instanceof Error ? error.message : error));
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
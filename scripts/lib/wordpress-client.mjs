@@ -0,0 +1,86 @@
+/**
+ * WordPress REST client for Node scripts
+ *
+ * Sources and credentials come from src/lib/wordpress-sources.mjs, shared with
+ * the site build; this adds .env loading, retries and pagination.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Load .env into process.env (existing variables win)
+ */
+export function loadEnv() {
+  if (typeof process.loadEnvFile !== 'function') return;
+  try {
+    process.loadEnvFile(path.join(ROOT_DIR, '.env'));
+  } catch {
+    // No .env file - rely on the process environment
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * fetch() with a timeout and retries on network errors, 429 and 5xx
+ * Uses the same WP_TIMEOUT_MS / WP_RETRIES settings as src/lib/wordpress.ts.
+ */
+export async function fetchWithRetry(url, init = {}) {
+  const timeout = Number(process.env.WP_TIMEOUT_MS) || 15000;
+  const retries = process.env.WP_RETRIES !== undefined ? Number(process.env.WP_RETRIES) || 0 : 3;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+      if (response.status !== 429 && response.status < 500) return response;
+    } catch (error) {
+      if (attempt >= retries) throw error;
+    }
+    if (attempt >= retries) return response;
+
+    const retryAfter = Number(response?.headers.get('retry-after'));
+    await sleep(Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : Math.min(500 * 2 ** attempt, 10000));
+  }
+}
+
+/**
+ * Minimal REST client: get() one request, getAll() every page of a collection
+ * Endpoints are relative to the API root, e.g. 'wp/v2/posts'.
+ */
+export function createApi(apiUrl, headers = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  async function get(endpoint, params = {}) {
+    const url = new URL(`${baseUrl}/${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+    const response = await fetchWithRetry(url, { headers });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText} for ${url}`);
+    }
+    return {
+      data: await response.json(),
+      totalPages: Number(response.headers.get('x-wp-totalpages')) || 1,
+    };
+  }
+
+  async function getAll(endpoint, params = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const result = await get(endpoint, { ...params, per_page: 100, page });
+      items.push(...result.data);
+      totalPages = result.totalPages;
+      page++;
+    } while (page <= totalPages);
+    return items;
+  }
+
+  return { get, getAll, headers };
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Preview Link Script
+ *
+ * Prints a signed preview URL for a draft, scheduled or private item:
+ *   npm run preview:link -- post 123 [--ttl=3600]
+ *   npm run preview:link -- page about-us
+ *
+ * The signature matches src/lib/preview.ts:
+ *   HMAC-SHA256(WP_PREVIEW_SECRET, "<type>:<id or slug>:<expires>")
+ * Links are absolute when SITE_PREVIEW_URL (or SITE_URL) is set.
+ */
+
+import crypto from 'node:crypto';
+import { loadEnv } from './lib/wordpress-client.mjs';
+
+const TYPES = ['post', 'page', 'project'];
+
+function fail(message) {
+  console.error('[preview] ' + message);
+  process.exit(1);
+}
+
+loadEnv();
+
+const args = process.argv.slice(2);
+const [type, id] = args.filter((arg) => !arg.startsWith('--'));
+const ttl = Number(args.find((arg) => arg.startsWith('--ttl='))?.split('=')[1]) || 3600;
+const secret = process.env.WP_PREVIEW_SECRET;
+
+if (!TYPES.includes(type) || !id) fail(`Usage: npm run preview:link -- <${TYPES.join('|')}> <id or slug> [--ttl=seconds]`);
+if (!secret) fail('WP_PREVIEW_SECRET is not set.');
+
+const expires = Math.floor(Date.now() / 1000) + ttl;
+const token = crypto.createHmac('sha256', secret).update(`${type}:${id}:${expires}`).digest('hex');
+const path = `/preview/${type}/${encodeURIComponent(id)}?expires=${expires}&token=${token}`;
+const origin = process.env.SITE_PREVIEW_URL || process.env.SITE_URL;
+
+console.log(origin ? new URL(path, origin).href : path);
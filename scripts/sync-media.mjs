@@ -1,9 +1,495 @@
 #!/usr/bin/env node
 /**
- * Sync Media Script (placeholder)
- * 
- * This is a placeholder script. For WordPress-powered sites,
- * this script will download images from WordPress to src/media/.
+ * Sync Media Script
+ *
+ * Downloads every WordPress upload referenced by the site into src/media/cms/
+ * (where FeaturedImage.astro picks them up for optimization) and writes
+ * src/lib/media-map.json so getLocalImageUrl() and rewriteContentUrls() can
+ * swap remote URLs for local ones.
+ *
+ * Runs automatically as `prebuild`. It can also be run by hand:
+ *   node scripts/sync-media.mjs [--force] [--dry-run] [--concurrency=4] [--strict]
+ *                               [--report=media-report.json]
+ *
+ * - Sources: /wp/v2/media plus any upload referenced from posts, pages and
+ *   custom post types (content and excerpt).
+ * - Size variants (image-1024x585.png) are collapsed onto the original upload,
+ *   which is downloaded once; every variant URL is mapped to the same file.
+ * - Incremental: unchanged files are skipped using ETag/Last-Modified,
+ *   the recorded size and a SHA-256 of the content.
+ * - Resumable: progress is recorded in src/media/cms/.manifest.json after every
+ *   download, and files are written through a .part file and renamed into place.
+ * - Reports media library items nothing references (no featured image or
+ *   inline use), references that have no local file, and uploads that share a
+ *   file name (see src/lib/media-map.ts). `--report` saves them as JSON.
+ *
+ * Configuration comes from the environment (or .env), the same variables the
+ * site uses (see src/lib/wordpress-sources.mjs): WP_API_URL, WP_ACCESS_SECRET, WP_USERNAME,
+ * WP_APP_PASSWORD, WP_JWT_TOKEN, and WP_SOURCE to pick a named source.
  */
 
-console.log('[sync-media] No WordPress configured, skipping.');
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR, loadEnv, fetchWithRetry, createApi } from './lib/wordpress-client.mjs';
+import { getSource, getAuthHeaders } from '../src/lib/wordpress-sources.mjs';
+
+const DEFAULTS = {
+  mediaDir: path.join(ROOT_DIR, 'src/media/cms'),
+  publicDir: path.join(ROOT_DIR, 'public/images/cms'),
+  publicUrl: '/images/cms',
+  mapFile: path.join(ROOT_DIR, 'src/lib/media-map.json'),
+  concurrency: 4,
+};
+
+// Post types that are never rendered as content
+const EXCLUDED_TYPES = [
+  'attachment',
+  'nav_menu_item',
+  'wp_block',
+  'wp_template',
+  'wp_template_part',
+  'wp_navigation',
+  'wp_global_styles',
+  'wp_font_family',
+  'wp_font_face',
+];
+
+const UPLOAD_URL_PATTERN = /https?:\/\/[^"'\s(),]+\/wp-content\/uploads\/[^"'\s(),?#]+\.(?:jpe?g|png|gif|webp|avif|svg)/gi;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function log(message) {
+  console.log('[sync-media] ' + message);
+}
+
+/**
+ * Resolve an upload URL to its original
+ * e.g., ".../image-1024x585.png" -> ".../image.png"
+ *
+ * With the attachment, only URLs listed in its media_details.sizes map to its
+ * source_url; anything else is returned as is, since an original file name can
+ * end in "-1200x800" too. Without one, the size suffix is stripped as a guess.
+ */
+export function toOriginalUrl(url, attachment) {
+  const cleanUrl = url.split(/[?#]/)[0];
+  if (attachment) {
+    const sizes = Object.values(attachment.media_details?.sizes || {});
+    return sizes.some(size => size?.source_url === cleanUrl) ? attachment.source_url : cleanUrl;
+  }
+  return cleanUrl.replace(/-\d+x\d+(?=\.[^./]+$)/, '');
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'force') options.force = true;
+    else if (key === 'dry-run') options.dryRun = true;
+    else if (key === 'strict') options.strict = true;
+    else if (key === 'concurrency') options.concurrency = Number(value) || DEFAULTS.concurrency;
+    else if (key === 'report') options.report = value || 'media-report.json';
+  }
+  return options;
+}
+
+/**
+ * Run async tasks with a concurrency limit
+ */
+async function runPool(items, limit, worker) {
+  let index = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const item = items[index++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = file + '.part';
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, file);
+}
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch {
+    return -1;
+  }
+}
+
+// ============================================================================
+// WordPress API
+// ============================================================================
+
+async function getContentEndpoints(api) {
+  try {
+    const { data: types } = await api.get('wp/v2/types');
+    return Object.entries(types)
+      .filter(([slug, type]) => !EXCLUDED_TYPES.includes(slug) && type.rest_base && (!type.rest_namespace || type.rest_namespace === 'wp/v2'))
+      .map(([, type]) => type.rest_base);
+  } catch (error) {
+    log('Could not list post types (' + error.message + '), falling back to posts and pages');
+    return ['posts', 'pages'];
+  }
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+/**
+ * Collect every upload to download, keyed by original URL
+ * Each entry lists all URLs (size variants) that resolve to it.
+ */
+async function collectUploads(api, uploadHosts) {
+  const uploads = new Map();
+  // Original URL -> where it is used, and attachment IDs used as featured images
+  const references = new Map();
+  const featured = new Map();
+
+  function addReference(originalUrl, usedBy) {
+    const usedIn = references.get(originalUrl) || [];
+    if (!usedIn.includes(usedBy)) usedIn.push(usedBy);
+    references.set(originalUrl, usedIn);
+  }
+
+  function addUpload(originalUrl, variantUrl, attachment) {
+    let entry = uploads.get(originalUrl);
+    if (!entry) {
+      entry = { url: originalUrl, variants: new Set(), id: null, modified: null, fallbackUrl: null };
+      uploads.set(originalUrl, entry);
+    }
+    entry.variants.add(originalUrl);
+    if (variantUrl) entry.variants.add(variantUrl);
+    if (attachment) {
+      entry.id = attachment.id;
+      entry.modified = attachment.modified_gmt || attachment.modified || null;
+    } else if (variantUrl && variantUrl !== originalUrl && !entry.id) {
+      // Only seen inline: download the variant if the original is missing
+      entry.fallbackUrl = variantUrl;
+    }
+  }
+
+  const media = await api.getAll('wp/v2/media', { _fields: 'id,source_url,modified_gmt,media_details' });
+  const attachments = new Map();
+  for (const item of media) {
+    if (!item.source_url) continue;
+    uploadHosts.add(new URL(item.source_url).host);
+    attachments.set(item.source_url, item);
+    addUpload(item.source_url, null, item);
+    for (const size of Object.values(item.media_details?.sizes || {})) {
+      if (size?.source_url) addUpload(item.source_url, size.source_url, item);
+    }
+  }
+  log('Found ' + media.length + ' media library items');
+
+  // Map variant URL -> original URL for inline references to library items
+  const knownVariants = new Map();
+  for (const entry of uploads.values()) {
+    for (const variant of entry.variants) knownVariants.set(variant, entry.url);
+  }
+
+  const endpoints = await getContentEndpoints(api);
+  for (const endpoint of endpoints) {
+    let items = [];
+    try {
+      items = await api.getAll('wp/v2/' + endpoint, { _fields: 'id,content,excerpt,featured_media' });
+    } catch (error) {
+      log('Skipping ' + endpoint + ': ' + error.message);
+      continue;
+    }
+
+    let inline = 0;
+    for (const item of items) {
+      const usedBy = endpoint + '/' + item.id;
+      if (item.featured_media) {
+        const usedIn = featured.get(item.featured_media) || [];
+        usedIn.push(usedBy);
+        featured.set(item.featured_media, usedIn);
+      }
+      const html = (item.content?.rendered || '') + (item.excerpt?.rendered || '');
+      for (const match of html.matchAll(UPLOAD_URL_PATTERN)) {
+        const url = match[0];
+        if (!uploadHosts.has(new URL(url).host)) continue;
+        // If stripping leads to a library item that does not list this size,
+        // the suffix is part of the real file name
+        const originalUrl = knownVariants.get(url) || toOriginalUrl(url, attachments.get(toOriginalUrl(url)));
+        addUpload(originalUrl, url, null);
+        addReference(originalUrl, usedBy);
+        inline++;
+      }
+    }
+    log('Scanned ' + items.length + ' ' + endpoint + ' (' + inline + ' inline references)');
+  }
+
+  return { uploads: [...uploads.values()], references, featured };
+}
+
+/**
+ * Pick a flat, collision-free local filename for an upload
+ *
+ * A name with malformed escapes keeps its raw form and marks the upload as
+ * failed (`entry.error`), so one bad URL can't abort the sync.
+ */
+function assignFilename(entry, manifest, usedNames) {
+  const segment = new URL(entry.url).pathname.split('/').pop() || 'file';
+  let original = segment;
+  try {
+    original = decodeURIComponent(segment);
+  } catch {
+    entry.error = 'Malformed file name ' + segment;
+  }
+
+  const existing = manifest.files[entry.url]?.file;
+  if (existing) return existing;
+
+  const safe = original.replace(/[^a-zA-Z0-9._-]/g, '-').toLowerCase();
+  let filename = safe;
+  if (usedNames.has(filename)) {
+    const ext = path.extname(safe);
+    const suffix = entry.id || crypto.createHash('sha1').update(entry.url).digest('hex').slice(0, 8);
+    filename = path.basename(safe, ext) + '-' + suffix + ext;
+  }
+  usedNames.add(filename);
+  return filename;
+}
+
+async function publish(source, target) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.rm(target, { force: true });
+  try {
+    await fs.link(source, target);
+  } catch {
+    await fs.copyFile(source, target);
+  }
+}
+
+async function downloadUpload(entry, record, options, headers) {
+  const target = path.join(options.mediaDir, record.file);
+  const onDisk = await fileSize(target);
+  const requestHeaders = { ...headers };
+
+  // Conditional request when we already have an intact copy
+  if (!options.force && onDisk >= 0 && onDisk === record.size) {
+    if (record.modified && entry.modified && record.modified === entry.modified) {
+      return 'unchanged';
+    }
+    if (record.etag) requestHeaders['If-None-Match'] = record.etag;
+    if (record.lastModified) requestHeaders['If-Modified-Since'] = record.lastModified;
+  }
+
+  let response = await fetchWithRetry(record.sourceUrl || entry.url, { headers: requestHeaders });
+  if (response.status === 404 && entry.fallbackUrl && !record.sourceUrl) {
+    record.sourceUrl = entry.fallbackUrl;
+    response = await fetchWithRetry(entry.fallbackUrl, { headers: requestHeaders });
+  }
+  if (response.status === 304) return 'unchanged';
+  if (!response.ok) {
+    throw new Error(response.status + ' ' + response.statusText);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  record.etag = response.headers.get('etag') || null;
+  record.lastModified = response.headers.get('last-modified') || null;
+  record.modified = entry.modified;
+
+  if (!options.force && onDisk === buffer.length && record.hash === hash) {
+    return 'unchanged';
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const tmp = target + '.part';
+  await fs.writeFile(tmp, buffer);
+  await fs.rename(tmp, target);
+  record.size = buffer.length;
+  record.hash = hash;
+  return 'downloaded';
+}
+
+/**
+ * Sync WordPress media to the local filesystem
+ *
+ * @param options.apiUrl - WordPress REST API URL (…/wp-json)
+ * @param options.headers - Extra request headers (authentication)
+ * @param options.force - Re-download everything
+ * @param options.dryRun - Only report what would be downloaded
+ * @returns Counts of downloaded, unchanged and failed uploads
+ */
+export async function syncMedia(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const api = createApi(opts.apiUrl, opts.headers || {});
+  const uploadHosts = new Set([new URL(opts.apiUrl).host]);
+  const manifestFile = path.join(opts.mediaDir, '.manifest.json');
+  const manifest = await readJson(manifestFile, { files: {} });
+
+  const { uploads, references, featured } = await collectUploads(api, uploadHosts);
+  log('Resolved ' + uploads.length + ' unique uploads');
+
+  const usedNames = new Set(Object.values(manifest.files).map(record => record.file));
+  for (const entry of uploads) {
+    const record = manifest.files[entry.url] || {};
+    record.file = assignFilename(entry, manifest, usedNames);
+    record.id = entry.id;
+    manifest.files[entry.url] = record;
+  }
+
+  if (opts.dryRun) {
+    for (const entry of uploads) log('Would sync ' + entry.url + ' -> ' + manifest.files[entry.url].file);
+    const report = buildMediaReport(uploads, manifest, references, featured, { dryRun: true });
+    await logMediaReport(report, opts);
+    return { downloaded: 0, unchanged: 0, failed: 0, total: uploads.length, report };
+  }
+
+  const stats = { downloaded: 0, unchanged: 0, failed: 0, total: uploads.length };
+  let saving = Promise.resolve();
+  const saveManifest = () => (saving = saving.then(() => writeJson(manifestFile, manifest)));
+
+  await runPool(uploads, opts.concurrency, async (entry) => {
+    const record = manifest.files[entry.url];
+    try {
+      if (entry.error) throw new Error(entry.error);
+      const result = await downloadUpload(entry, record, opts, api.headers);
+      await publish(path.join(opts.mediaDir, record.file), path.join(opts.publicDir, record.file));
+      delete record.error;
+      stats[result]++;
+      if (result === 'downloaded') log('Downloaded ' + record.file);
+    } catch (error) {
+      record.error = error.message;
+      stats.failed++;
+      log('Failed ' + entry.url + ': ' + error.message);
+    }
+    await saveManifest();
+  });
+  await saving;
+
+  // Write the media map: public path of each local file -> its upload and variant URLs
+  const files = {};
+  for (const entry of [...uploads].sort((a, b) => a.url.localeCompare(b.url))) {
+    const record = manifest.files[entry.url];
+    if (record.error || record.size === undefined) continue;
+    files[opts.publicUrl + '/' + record.file] = {
+      id: entry.id,
+      url: entry.url,
+      variants: [...entry.variants].sort(),
+    };
+  }
+  await writeJson(opts.mapFile, { files });
+
+  log(`Done: ${stats.downloaded} downloaded, ${stats.unchanged} unchanged, ${stats.failed} failed`);
+  const report = buildMediaReport(uploads, manifest, references, featured);
+  await logMediaReport(report, opts);
+  return { ...stats, report };
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Find unused media, references without a local file and file name collisions
+ *
+ * - unreferenced: library items that are neither a featured image nor used
+ *   inline. Images used only by the theme (logos, widgets) show up here too.
+ * - missing: inline references and featured images with no local file, because
+ *   the download failed or the attachment is gone from the library.
+ * - collisions: uploads with the same file name (e.g. 2023/01/photo.jpg and
+ *   2024/05/photo.jpg); the later ones get an ID suffix and are only matched
+ *   by full URL.
+ */
+export function buildMediaReport(uploads, manifest, references, featured, { dryRun = false } = {}) {
+  const report = { unreferenced: [], missing: [], collisions: [] };
+  const hasFile = (entry) => dryRun || (!manifest.files[entry.url]?.error && manifest.files[entry.url]?.size !== undefined);
+
+  const byId = new Map();
+  const byName = new Map();
+  for (const entry of uploads) {
+    if (entry.id) byId.set(entry.id, entry);
+    const name = path.basename(entry.url).toLowerCase();
+    byName.set(name, [...(byName.get(name) || []), entry]);
+
+    if (entry.id && !references.has(entry.url) && !featured.has(entry.id)) {
+      report.unreferenced.push({ id: entry.id, url: entry.url });
+    }
+    if (references.has(entry.url) && !hasFile(entry)) {
+      report.missing.push({ url: entry.url, usedBy: references.get(entry.url), error: manifest.files[entry.url]?.error || null });
+    }
+  }
+
+  for (const [id, usedBy] of featured) {
+    const entry = byId.get(id);
+    if (!entry) {
+      report.missing.push({ id, usedBy, error: 'Attachment not found in the media library' });
+    } else if (!hasFile(entry)) {
+      report.missing.push({ id, url: entry.url, usedBy, error: manifest.files[entry.url]?.error || null });
+    }
+  }
+
+  for (const [name, entries] of byName) {
+    if (entries.length < 2) continue;
+    report.collisions.push({
+      name,
+      files: entries.map(entry => ({ url: entry.url, file: manifest.files[entry.url]?.file || null })),
+    });
+  }
+  return report;
+}
+
+async function logMediaReport(report, options) {
+  log(`Report: ${report.unreferenced.length} unreferenced, ${report.missing.length} missing, ${report.collisions.length} file name collisions`);
+  for (const { url, id, usedBy, error } of report.missing) {
+    log('Missing ' + (url || 'attachment ' + id) + ' (used by ' + usedBy.join(', ') + (error ? '; ' + error : '') + ')');
+  }
+  for (const { name, files } of report.collisions) {
+    log('Collision ' + name + ': ' + files.map(file => file.file || file.url).join(', '));
+  }
+  if (options.report) {
+    const file = path.resolve(ROOT_DIR, options.report);
+    await writeJson(file, report);
+    log('Report written to ' + options.report);
+  }
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+async function main() {
+  loadEnv();
+  if (/^(1|true|yes|on)$/i.test(process.env.WP_OFFLINE || '')) {
+    log('Offline build (WP_OFFLINE), skipping.');
+    return;
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    const source = getSource();
+    log('Using source "' + source.name + '" (' + source.apiUrl + ')');
+    const stats = await syncMedia({ apiUrl: source.apiUrl, headers: getAuthHeaders(source), ...args });
+    if (args.strict && (stats.failed > 0 || stats.report.missing.length > 0)) process.exitCode = 1;
+  } catch (error) {
+    log('Sync failed: ' + (error instanceof Error ? error.message : error));
+    log('Existing media and media map were left in place; re-run to resume.');
+    if (args.strict) process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,83 @@
+/**
+ * Schema for src/config/menus.json (written by the Menu Builder)
+ *
+ * Kept in plain JavaScript so it can be shared by src/lib/navigation.ts and
+ * astro.config.mjs, which validates the file before the build starts.
+ */
+
+import { z } from 'zod';
+
+export const MENU_LOCATIONS = /** @type {const} */ (['header', 'footer', 'sidebar']);
+
+/** @type {z.ZodType<any>} */
+export const menuItemSchema = z.lazy(() =>
+  z.object({
+    id: z.string().min(1),
+    type: z.enum(['home', 'page', 'wp_page', 'custom']),
+    label: z.string(),
+    url: z.string(),
+    // WordPress page ID for wp_page items; url and label follow the page
+    wpPageId: z.number().int().positive().optional(),
+    target: z.enum(['_self', '_blank']).optional(),
+    children: z.array(menuItemSchema).optional(),
+  }).refine(item => item.type !== 'wp_page' || item.wpPageId !== undefined || item.url, {
+    message: 'wp_page items need a wpPageId or a url',
+  })
+);
+
+export const menuSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  slug: z.string().regex(/^[a-z0-9-_]+$/, 'Use lowercase letters, numbers, - and _'),
+  style: z.enum(['horizontal', 'vertical', 'dropdown']).default('horizontal'),
+  // Where the menu is rendered; the active menu is the header menu by default
+  location: z.enum(MENU_LOCATIONS).optional(),
+  items: z.array(menuItemSchema).default([]),
+  showHome: z.boolean().default(true),
+  // Collapse into a hamburger button on small screens
+  mobileHamburger: z.boolean().default(true),
+  // Append site and WordPress pages that aren't in `items`
+  autoSync: z.boolean().default(false),
+  excludedPages: z.array(z.string().startsWith('/', 'Excluded pages are paths starting with /')).default([]),
+  // Import the items of a WordPress menu (ID or slug) or theme location
+  wpMenu: z.union([z.number().int().positive(), z.string().min(1)]).optional(),
+  wpLocation: z.string().min(1).optional(),
+});
+
+export const menusConfigSchema = z.object({
+  menus: z.array(menuSchema).default([]),
+  // Excluded from every menu
+  excludedPages: z.array(z.string().startsWith('/', 'Excluded pages are paths starting with /')).default([]),
+  activeMenuId: z.string().optional(),
+}).superRefine((config, context) => {
+  const seen = new Map();
+  config.menus.forEach((menu, index) => {
+    for (const key of ['id', 'slug']) {
+      const name = key + ':' + menu[key];
+      if (seen.has(name)) {
+        context.addIssue({ code: 'custom', path: ['menus', index, key], message: `Duplicate menu ${key} "${menu[key]}" (also used by menus.${seen.get(name)})` });
+      } else {
+        seen.set(name, index);
+      }
+    }
+  });
+  if (config.activeMenuId && !config.menus.some(menu => menu.id === config.activeMenuId)) {
+    context.addIssue({ code: 'custom', path: ['activeMenuId'], message: `No menu with id "${config.activeMenuId}"` });
+  }
+  for (const location of MENU_LOCATIONS) {
+    const menus = config.menus.filter(menu => menu.location === location);
+    if (menus.length > 1) {
+      context.addIssue({ code: 'custom', path: ['menus'], message: `More than one menu for location "${location}": ${menus.map(menu => menu.slug).join(', ')}` });
+    }
+  }
+});
+
+/**
+ * Validate menus.json, throwing an error that lists every problem
+ */
+export function parseMenusConfig(data, file = 'src/config/menus.json') {
+  const parsed = menusConfigSchema.safeParse(data);
+  if (parsed.success) return parsed.data;
+  const issues = parsed.error.issues.map(issue => `  ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  throw new Error(`${file} is invalid:\n${issues.join('\n')}`);
+}
@@ -1,34 +1,26 @@
-import { defineCollection, z } from 'astro:content';
+import { defineCollection } from 'astro:content';
+import { productSchema, projectSchema } from './schemas.mjs';
+import { wordpressLoader, wpPostSchema } from '../lib/wordpress-loader';
 
 const products = defineCollection({
   type: 'content',
-  schema: z.object({
-    title: z.string(),
-    description: z.string(),
-    price: z.string().optional(),
-    category: z.string().optional(),
-    tags: z.array(z.string()).optional(),
-    image: z.string().optional(),
-    sku: z.string().optional(),
-    inStock: z.boolean().optional(),
-    date: z.string().optional(),
-  }),
+  schema: productSchema,
 });
 
 const projects = defineCollection({
   type: 'content',
-  schema: z.object({
-    title: z.string(),
-    description: z.string(),
-    tags: z.array(z.string()).optional(),
-    categories: z.array(z.string()).optional(),
-    image: z.string().optional(),
-    client: z.string().optional(),
-    date: z.string(),
-  }),
+  schema: projectSchema,
+});
+
+// Collections loaded from the WordPress REST API (see src/lib/wordpress-loader.ts).
+// Each one syncs on every build, so only register what pages read.
+const posts = defineCollection({
+  loader: wordpressLoader({ restBase: 'posts' }),
+  schema: wpPostSchema,
 });
 
 export const collections = {
   products,
   projects,
+  posts,
 };
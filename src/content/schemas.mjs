@@ -0,0 +1,41 @@
+/**
+ * Content collection schemas
+ *
+ * Kept in plain JavaScript so they can be shared by src/content/config.ts and
+ * Node scripts (scripts/import-content.mjs validates imported WordPress
+ * entries against the same schemas the build uses).
+ */
+
+import { z } from 'zod';
+
+export const productSchema = z.object({
+  title: z.string(),
+  description: z.string(),
+  price: z.string().optional(),
+  category: z.string().optional(),
+  tags: z.array(z.string()).optional(),
+  image: z.string().optional(),
+  sku: z.string().optional(),
+  inStock: z.boolean().optional(),
+  date: z.string().optional(),
+});
+
+export const projectSchema = z.object({
+  title: z.string(),
+  description: z.string(),
+  tags: z.array(z.string()).optional(),
+  categories: z.array(z.string()).optional(),
+  image: z.string().optional(),
+  client: z.string().optional(),
+  date: z.string(),
+  // Picked by featured showcase queries (src/lib/projects.ts)
+  featured: z.boolean().optional(),
+  // Live site or case study the showcase links to
+  url: z.string().optional(),
+});
+
+/** Schemas by collection name */
+export const schemas = {
+  products: productSchema,
+  projects: projectSchema,
+};
@@ -0,0 +1,605 @@
+/**
+ * Content transform pipeline for WordPress post bodies
+ *
+ * `content.rendered` can still contain things that only worked on WordPress:
+ * shortcodes whose plugin rendered them at request time, and blocks whose
+ * markup relies on WordPress styles and scripts. transformContent() turns the
+ * HTML into segments that src/components/WPContent.astro renders:
+ *
+ * 1. Shortcodes are expanded into the block markup WordPress would produce
+ *    (e.g. [gallery ids="1,2"] becomes a wp-block-gallery figure).
+ * 2. URLs are rewritten to local media (rewriteContentUrls).
+ * 3. The HTML is parsed, and elements matched by a block transform become
+ *    component segments (gallery -> lightbox, embed -> lazy iframe, code ->
+ *    highlighted code, image -> ResponsiveImage). Everything else stays HTML.
+ *    Headings get ids for the table of contents (getContentHeadings()).
+ *
+ * Both stages are pluggable: registerShortcode() and registerBlockTransform()
+ * add handlers, and WPContent.astro maps component names to components.
+ * Shortcodes and wp-block-* classes nothing handles are collected with
+ * getContentWarnings() and listed at the end of the build.
+ */
+
+import { parseFragment, serializeOuter, type DefaultTreeAdapterTypes } from 'parse5';
+import { decodeEntities, getMediaById, rewriteContentUrls } from './wordpress';
+
+type Node = DefaultTreeAdapterTypes.ChildNode;
+type Element = DefaultTreeAdapterTypes.Element;
+
+export type ContentSegment =
+  | { kind: 'html'; html: string }
+  | { kind: 'element'; tagName: string; attributes: Record<string, string>; children: ContentSegment[] }
+  | { kind: 'component'; component: string; props: Record<string, any>; /** Original markup */ html: string };
+
+export interface TransformContext {
+  /** Page being rendered, for warnings */
+  path?: string;
+  /** WordPress source to fetch media from */
+  source?: string;
+  /**
+   * How many of the first images load eagerly (above the fold); the rest are
+   * lazy. Counts down as images are transformed.
+   */
+  eagerImages?: number;
+}
+
+/**
+ * Expands a shortcode to HTML; `null` leaves it untouched (and reported)
+ */
+export type ShortcodeHandler = (
+  attributes: ShortcodeAttributes,
+  content: string | undefined,
+  context: TransformContext
+) => string | null | Promise<string | null>;
+
+export interface ShortcodeAttributes {
+  /** Named attributes (name="value") */
+  named: Record<string, string>;
+  /** Positional attributes, e.g. the URL in [youtube https://...] */
+  positional: string[];
+}
+
+/**
+ * Turns a matching element into a component segment; `null` keeps it as HTML
+ */
+export interface BlockTransform {
+  /** Component name, looked up in WPContent.astro */
+  component: string;
+  test(element: Element): boolean;
+  transform(element: Element, context: TransformContext): Record<string, any> | null;
+}
+
+export interface ContentWarning {
+  kind: 'shortcode' | 'block';
+  name: string;
+  count: number;
+  paths: string[];
+}
+
+// ============================================================================
+// DOM helpers
+// ============================================================================
+
+function isElement(node: Node): node is Element {
+  return 'tagName' in node;
+}
+
+function getParent(element: Element): Element | undefined {
+  const parent = element.parentNode;
+  return parent && 'tagName' in parent ? parent : undefined;
+}
+
+export function getAttribute(element: Element, name: string): string | undefined {
+  return element.attrs.find(attr => attr.name === name)?.value;
+}
+
+export function getClasses(element: Element): string[] {
+  return (getAttribute(element, 'class') || '').split(/\s+/).filter(Boolean);
+}
+
+export function hasClass(element: Element, name: string): boolean {
+  return getClasses(element).includes(name);
+}
+
+function* descendants(element: Element): Generator<Element> {
+  for (const child of element.childNodes) {
+    if (!isElement(child)) continue;
+    yield child;
+    yield* descendants(child);
+  }
+}
+
+export function querySelector(element: Element, test: (element: Element) => boolean): Element | undefined {
+  for (const descendant of descendants(element)) {
+    if (test(descendant)) return descendant;
+  }
+  return undefined;
+}
+
+export function querySelectorAll(element: Element, test: (element: Element) => boolean): Element[] {
+  return [...descendants(element)].filter(test);
+}
+
+export function getTextContent(node: Node): string {
+  if (node.nodeName === '#text') return (node as DefaultTreeAdapterTypes.TextNode).value;
+  return isElement(node) ? node.childNodes.map(getTextContent).join('') : '';
+}
+
+export function getInnerHtml(element: Element): string {
+  return element.childNodes.map(child => serializeOuter(child)).join('');
+}
+
+function toNumber(value: string | undefined): number | undefined {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// Warnings
+// ============================================================================
+
+// Kept on globalThis: pages render from a bundled copy of this module, and the
+// end-of-build summary in astro.config.mjs reads the same store
+const WARNINGS_KEY = Symbol.for('wordpress.contentWarnings');
+
+function getWarningStore(): Map<string, ContentWarning> {
+  const store = globalThis as typeof globalThis & { [WARNINGS_KEY]?: Map<string, ContentWarning> };
+  return (store[WARNINGS_KEY] ??= new Map());
+}
+
+function reportUnknown(kind: ContentWarning['kind'], name: string, context: TransformContext): void {
+  const key = `${kind}:${name}`;
+  const warnings = getWarningStore();
+  const warning = warnings.get(key);
+  if (warning) {
+    warning.count++;
+    if (context.path && !warning.paths.includes(context.path)) warning.paths.push(context.path);
+    return;
+  }
+  warnings.set(key, { kind, name, count: 1, paths: context.path ? [context.path] : [] });
+  if (import.meta.env.DEV) {
+    console.warn(`[content] Unhandled ${kind} "${name}"${context.path ? ` in ${context.path}` : ''}`);
+  }
+}
+
+/**
+ * Shortcodes and blocks no handler knew, collected over the build
+ */
+export function getContentWarnings(): ContentWarning[] {
+  return [...getWarningStore().values()];
+}
+
+// ============================================================================
+// Shortcodes
+// ============================================================================
+
+// get_shortcode_regex() from WordPress, for any tag name:
+// 1 [[escape, 2 tag, 3 attributes, 4 self-closing /, 5 content, 6 closing tag, 7 escape]]
+const SHORTCODE_PATTERN = /\[(\[?)([a-zA-Z][\w-]*)(?![\w-])([^\]\/]*(?:\/(?!\])[^\]\/]*)*?)(?:(\/)\]|\](?:([^\[]*(?:\[(?!\/\2\])[^\[]*)*)(\[\/\2\]))?)(\]?)/g;
+
+const ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*"([^"]*)"|([\w-]+)\s*=\s*'([^']*)'|([\w-]+)\s*=\s*([^\s'"]+)|"([^"]*)"|'([^']*)'|(\S+)/g;
+
+/**
+ * Parse shortcode attributes like shortcode_parse_atts()
+ * wptexturize turns the quotes of unregistered shortcodes into curly ones,
+ * so those are straightened first.
+ */
+export function parseShortcodeAttributes(text: string): ShortcodeAttributes {
+  const normalized = decodeEntities(text).replace(/[\u201c\u201d\u2033]/g, '"').replace(/[\u2018\u2019\u2032]/g, "'");
+  const named: Record<string, string> = {};
+  const positional: string[] = [];
+  for (const match of normalized.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1] ?? match[3] ?? match[5];
+    if (name) {
+      named[name.toLowerCase()] = match[2] ?? match[4] ?? match[6];
+    } else {
+      positional.push(match[7] ?? match[8] ?? match[9]);
+    }
+  }
+  return { named, positional };
+}
+
+// Undo wpautop inside enclosing shortcodes whose content is text
+function unautop(content: string): string {
+  return content.replace(/<br\s*\/?>\n?/gi, '\n').replace(/<\/?p>/gi, '');
+}
+
+const shortcodes: Record<string, ShortcodeHandler> = {
+  async gallery({ named }, _content, context) {
+    const ids = (named.ids || named.include || '').split(',').map(Number).filter(Boolean);
+    if (ids.length === 0) return null;
+    const media = await Promise.all(ids.map(id => getMediaById(id, { source: context.source })));
+    const linkToFile = named.link === 'file';
+    const items = media.filter(item => item !== null).map(item => {
+      const image = `<img src="${escapeHtml(item.source_url)}" alt="${escapeHtml(item.alt_text || '')}" width="${item.media_details?.width || ''}" height="${item.media_details?.height || ''}">`;
+      return `<figure class="wp-block-image">${linkToFile ? `<a href="${escapeHtml(item.source_url)}">${image}</a>` : image}</figure>`;
+    });
+    return `<figure class="wp-block-gallery columns-${Number(named.columns) || 3}">${items.join('')}</figure>`;
+  },
+
+  caption({ named }, content) {
+    const match = (content || '').match(/^\s*((?:<a\s[^>]*>\s*)?<img\s[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/i);
+    if (!match) return null;
+    const caption = (named.caption || match[2]).trim();
+    const align = named.align && named.align !== 'alignnone' ? ` ${named.align}` : '';
+    return `<figure class="wp-block-image${align}">${match[1]}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+  },
+
+  embed({ named, positional }, content) {
+    const url = (content || named.url || positional[0] || '').trim();
+    return url ? `<figure class="wp-block-embed"><div class="wp-block-embed__wrapper">${url}</div></figure>` : null;
+  },
+
+  youtube(attributes, content, context) {
+    return shortcodes.embed(attributes, content, context);
+  },
+
+  vimeo(attributes, content, context) {
+    return shortcodes.embed(attributes, content, context);
+  },
+
+  video({ named }) {
+    const src = named.src || named.mp4 || named.webm || named.ogv;
+    if (!src) return null;
+    if (getEmbedSrc(src)) return `<figure class="wp-block-embed"><div class="wp-block-embed__wrapper">${src}</div></figure>`;
+    const poster = named.poster ? ` poster="${escapeHtml(named.poster)}"` : '';
+    return `<figure class="wp-block-video"><video controls preload="metadata" src="${escapeHtml(src)}"${poster}></video></figure>`;
+  },
+
+  audio({ named }) {
+    const src = named.src || named.mp3 || named.ogg || named.m4a || named.wav;
+    return src ? `<figure class="wp-block-audio"><audio controls preload="none" src="${escapeHtml(src)}"></audio></figure>` : null;
+  },
+
+  // SyntaxHighlighter Evolved and similar plugins
+  code({ named }, content) {
+    if (content === undefined) return null;
+    const lang = named.lang || named.language || '';
+    return `<pre class="wp-block-code"><code${lang ? ` class="language-${escapeHtml(lang)}"` : ''}>${unautop(content)}</code></pre>`;
+  },
+
+  sourcecode(attributes, content, context) {
+    return shortcodes.code(attributes, content, context);
+  },
+};
+
+/**
+ * Add or replace a shortcode handler
+ */
+export function registerShortcode(tag: string, handler: ShortcodeHandler): void {
+  shortcodes[tag.toLowerCase()] = handler;
+}
+
+// Bracketed words in prose ("[sic]") aren't shortcodes; only report tags
+// that carry attributes, close, or have a plugin-style name
+function looksLikeShortcode(match: RegExpMatchArray): boolean {
+  return Boolean(match[3].trim() || match[4] || match[6] || /[-_]/.test(match[2]));
+}
+
+/**
+ * Expand shortcodes in HTML, leaving unknown ones in place
+ */
+export async function expandShortcodes(html: string, context: TransformContext = {}): Promise<string> {
+  if (!html.includes('[')) return html;
+
+  let result = '';
+  let lastIndex = 0;
+  for (const match of html.matchAll(SHORTCODE_PATTERN)) {
+    const [text, openEscape, tag, attributes, , content, , closeEscape] = match;
+    result += html.slice(lastIndex, match.index);
+    lastIndex = match.index! + text.length;
+
+    // [[tag]] is how WordPress writes a literal [tag]
+    if (openEscape && closeEscape) {
+      result += text.slice(1, -1);
+      continue;
+    }
+
+    const handler = shortcodes[tag.toLowerCase()];
+    const expanded = handler ? await handler(parseShortcodeAttributes(attributes), content, context) : null;
+    if (expanded === null) {
+      if (looksLikeShortcode(match)) reportUnknown('shortcode', tag, context);
+      result += text;
+      continue;
+    }
+    result += openEscape + expanded + closeEscape;
+  }
+  return result + html.slice(lastIndex);
+}
+
+// ============================================================================
+// Blocks
+// ============================================================================
+
+const EMBED_PROVIDERS: Array<[RegExp, (match: RegExpMatchArray) => string]> = [
+  [/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/, match => `https://www.youtube-nocookie.com/embed/${match[1]}`],
+  [/vimeo\.com\/(?:video\/)?(\d+)/, match => `https://player.vimeo.com/video/${match[1]}`],
+  [/open\.spotify\.com\/(track|album|playlist|episode|show)\/(\w+)/, match => `https://open.spotify.com/embed/${match[1]}/${match[2]}`],
+  [/(?:www\.)?dailymotion\.com\/video\/(\w+)/, match => `https://www.dailymotion.com/embed/video/${match[1]}`],
+];
+
+/**
+ * Iframe URL for a media page URL (YouTube, Vimeo, Spotify, Dailymotion)
+ */
+export function getEmbedSrc(url: string): string | undefined {
+  for (const [pattern, toSrc] of EMBED_PROVIDERS) {
+    const match = url.match(pattern);
+    if (match) return toSrc(match);
+  }
+  return undefined;
+}
+
+function getCaption(element: Element): string | undefined {
+  const caption = element.childNodes.find(child => isElement(child) && child.tagName === 'figcaption');
+  return caption && isElement(caption) ? getInnerHtml(caption).trim() || undefined : undefined;
+}
+
+function takeEagerImage(context: TransformContext): boolean {
+  if (!context.eagerImages || context.eagerImages <= 0) return false;
+  context.eagerImages--;
+  return true;
+}
+
+function getImageProps(image: Element) {
+  return {
+    src: getAttribute(image, 'src') || '',
+    alt: getAttribute(image, 'alt') || '',
+    width: toNumber(getAttribute(image, 'width')),
+    height: toNumber(getAttribute(image, 'height')),
+  };
+}
+
+const isImage = (element: Element) => element.tagName === 'img';
+
+// Target of the link wrapping an image, if any
+function getLinkHref(image: Element): string | undefined {
+  const parent = getParent(image);
+  return parent?.tagName === 'a' ? getAttribute(parent, 'href') : undefined;
+}
+const IMAGE_FILE = /\.(?:jpe?g|png|gif|webp|avif|svg)(?:\?|$)/i;
+
+const blockTransforms: BlockTransform[] = [
+  {
+    component: 'gallery',
+    test: element => hasClass(element, 'wp-block-gallery') || (element.tagName === 'div' && hasClass(element, 'gallery')),
+    transform(element) {
+      const images = querySelectorAll(element, isImage).map(image => {
+        // The item wrapper holds the caption: figure (blocks), li (old blocks) or dl (classic)
+        let item: Element | undefined = image;
+        while (item && item !== element && !['figure', 'li', 'dl'].includes(item.tagName)) {
+          item = getParent(item);
+        }
+        const link = getLinkHref(image);
+        const captionElement = item && item !== element
+          ? querySelector(item, child => child.tagName === 'figcaption' || hasClass(child, 'wp-caption-text'))
+          : undefined;
+        return {
+          ...getImageProps(image),
+          full: link && IMAGE_FILE.test(link) ? link : getAttribute(image, 'src') || '',
+          caption: captionElement ? getTextContent(captionElement).trim() || undefined : undefined,
+        };
+      });
+      if (images.length === 0) return null;
+      const columns = Number(getClasses(element).find(name => /^columns-\d+$/.test(name))?.slice(8)) || 3;
+      const caption = querySelector(element, child => hasClass(child, 'blocks-gallery-caption'));
+      return { images, columns, caption: caption ? getTextContent(caption).trim() || undefined : undefined };
+    },
+  },
+  {
+    component: 'embed',
+    test: element => hasClass(element, 'wp-block-embed') || element.tagName === 'iframe',
+    transform(element) {
+      const iframe = element.tagName === 'iframe' ? element : querySelector(element, child => child.tagName === 'iframe');
+      const wrapper = querySelector(element, child => hasClass(child, 'wp-block-embed__wrapper'));
+      const url = wrapper ? getTextContent(wrapper).trim() : '';
+      const src = (url && getEmbedSrc(url)) || (iframe && getAttribute(iframe, 'src'));
+      if (!src) return null;
+
+      const aspect = getClasses(element).find(name => name.startsWith('wp-embed-aspect-'))?.slice(16).replace('-', ' / ');
+      const width = iframe ? toNumber(getAttribute(iframe, 'width')) : undefined;
+      const height = iframe ? toNumber(getAttribute(iframe, 'height')) : undefined;
+      return {
+        src,
+        url: url || undefined,
+        title: (iframe && getAttribute(iframe, 'title')) || 'Embedded content',
+        aspectRatio: aspect || (width && height ? `${width} / ${height}` : '16 / 9'),
+        caption: element.tagName === 'iframe' ? undefined : getCaption(element),
+      };
+    },
+  },
+  {
+    component: 'code',
+    test(element) {
+      if (element.tagName !== 'pre') return false;
+      const code = element.childNodes.find(child => isElement(child) && child.tagName === 'code') as Element | undefined;
+      return hasClass(element, 'wp-block-code')
+        || /\b(?:brush|lang):/.test(getAttribute(element, 'class') || '')
+        || Boolean(code && /\b(?:language|lang)-/.test(getAttribute(code, 'class') || ''));
+    },
+    transform(element) {
+      const code = element.childNodes.find(child => isElement(child) && child.tagName === 'code') as Element | undefined;
+      const classes = `${getAttribute(element, 'class') || ''} ${code ? getAttribute(code, 'class') || '' : ''}`;
+      const lang = classes.match(/\b(?:language|lang)-([\w+#-]+)|\b(?:brush|lang):\s*([\w+#-]+)/);
+      return {
+        code: getTextContent(element).replace(/^\n/, '').replace(/\s+$/, ''),
+        lang: (lang?.[1] || lang?.[2] || 'plaintext').toLowerCase(),
+      };
+    },
+  },
+  {
+    component: 'image',
+    test: element => hasClass(element, 'wp-block-image') && (element.tagName === 'figure' || element.tagName === 'div'),
+    transform(element, context) {
+      const image = querySelector(element, isImage);
+      if (!image) return null;
+      const link = getLinkHref(image);
+      const figure = element.tagName === 'figure' ? element : querySelector(element, child => child.tagName === 'figure') || element;
+      return {
+        ...getImageProps(image),
+        priority: takeEagerImage(context),
+        href: link,
+        caption: getCaption(figure),
+        align: getClasses(figure).find(name => /^align(?:left|right|center|wide|full)$/.test(name)),
+      };
+    },
+  },
+  {
+    // Images outside image blocks: classic editor content, inline images
+    component: 'img',
+    test: element => isImage(element),
+    transform(element, context) {
+      const props = getImageProps(element);
+      if (!props.src) return null;
+      return { ...props, class: getAttribute(element, 'class'), priority: takeEagerImage(context) };
+    },
+  },
+];
+
+/**
+ * Add a block transform; it takes precedence over the built-in ones
+ */
+export function registerBlockTransform(transform: BlockTransform): void {
+  blockTransforms.unshift(transform);
+}
+
+// Blocks whose rendered HTML works as-is, with src/styles/wp-blocks.css
+const KNOWN_BLOCKS = new Set([
+  'paragraph', 'heading', 'list', 'list-item', 'quote', 'pullquote', 'table', 'separator', 'spacer',
+  'columns', 'column', 'group', 'buttons', 'button', 'cover', 'media-text', 'file', 'audio', 'video',
+  'preformatted', 'verse', 'details', 'html', 'freeform', 'more', 'nextpage', 'shortcode',
+  'image', 'gallery', 'embed', 'code',
+]);
+
+function reportUnknownBlocks(element: Element, context: TransformContext): void {
+  for (const name of getClasses(element)) {
+    if (!name.startsWith('wp-block-') || name.includes('__')) continue;
+    const block = name.slice(9);
+    const known = KNOWN_BLOCKS.has(block) || [...KNOWN_BLOCKS].some(known => block.startsWith(`${known}-`));
+    if (!known) reportUnknown('block', name, context);
+  }
+}
+
+function findTransform(element: Element, context: TransformContext): ContentSegment | null {
+  for (const transform of blockTransforms) {
+    if (!transform.test(element)) continue;
+    const props = transform.transform(element, context);
+    if (props) return { kind: 'component', component: transform.component, props, html: serializeOuter(element) };
+  }
+  return null;
+}
+
+function toSegments(nodes: Node[], context: TransformContext): ContentSegment[] {
+  const segments: ContentSegment[] = [];
+  const pushHtml = (html: string) => {
+    const last = segments[segments.length - 1];
+    if (last?.kind === 'html') last.html += html;
+    else segments.push({ kind: 'html', html });
+  };
+
+  for (const node of nodes) {
+    if (!isElement(node)) {
+      pushHtml(serializeOuter(node));
+      continue;
+    }
+
+    // Left behind when a block shortcode was expanded inside wpautop's <p>
+    if (node.tagName === 'p' && node.childNodes.length === 0 && node.attrs.length === 0) continue;
+
+    reportUnknownBlocks(node, context);
+    const component = findTransform(node, context);
+    if (component) {
+      segments.push(component);
+      continue;
+    }
+
+    const children = toSegments(node.childNodes, context);
+    if (children.every(child => child.kind === 'html')) {
+      pushHtml(serializeOuter(node));
+      continue;
+    }
+
+    // wpautop wraps block shortcodes in <p>; drop the paragraph around a lone block
+    const significant = children.filter(child => child.kind !== 'html' || child.html.trim());
+    if (node.tagName === 'p' && significant.length === 1 && significant[0].kind === 'component') {
+      segments.push(significant[0]);
+      continue;
+    }
+
+    segments.push({
+      kind: 'element',
+      tagName: node.tagName,
+      attributes: Object.fromEntries(node.attrs.map(attr => [attr.name, attr.value])),
+      children,
+    });
+  }
+  return segments;
+}
+
+// ============================================================================
+// Headings
+// ============================================================================
+
+export interface ContentHeading {
+  id: string;
+  text: string;
+  /** 2 for <h2>, ... */
+  level: number;
+}
+
+const HEADING = /^h([2-6])$/;
+
+function toAnchor(text: string): string {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Give every <h2>-<h6> an id (kept when WordPress already set one), so the
+ * table of contents can link to them
+ */
+function addHeadingIds(nodes: Node[]): ContentHeading[] {
+  const elements = nodes.filter(isElement).flatMap(node => [node, ...descendants(node)]);
+  const headings = elements.filter(element => HEADING.test(element.tagName));
+  const used = new Set(elements.map(element => getAttribute(element, 'id')).filter(Boolean));
+
+  return headings.map(heading => {
+    const text = getTextContent(heading).replace(/\s+/g, ' ').trim();
+    let id = getAttribute(heading, 'id');
+    if (!id) {
+      const base = toAnchor(text);
+      id = base;
+      for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+      used.add(id);
+      heading.attrs.push({ name: 'id', value: id });
+    }
+    return { id, text, level: Number(HEADING.exec(heading.tagName)![1]) };
+  });
+}
+
+/**
+ * Headings of a post body, with the ids transformContent() gives them
+ * Shortcodes aren't expanded, so headings they would produce aren't listed.
+ */
+export function getContentHeadings(html: string): ContentHeading[] {
+  if (!html) return [];
+  return addHeadingIds(parseFragment(html).childNodes);
+}
+
+/**
+ * Run the pipeline over a post body (`content.rendered`)
+ */
+export async function transformContent(html: string, context: TransformContext = {}): Promise<ContentSegment[]> {
+  if (!html) return [];
+  const expanded = await expandShortcodes(html, context);
+  const fragment = parseFragment(rewriteContentUrls(expanded));
+  addHeadingIds(fragment.childNodes);
+  return toSegments(fragment.childNodes, context);
+}
@@ -0,0 +1,339 @@
+/**
+ * RSS 2.0, Atom and JSON Feed generation
+ *
+ * Every feed scope (the whole blog, a category, tag or author, and projects)
+ * is published in three formats next to its archive:
+ *
+ *   /feed.xml  /atom.xml  /feed.json
+ *   /category/news/feed.xml  /tag/astro/atom.xml  /project/feed.json ...
+ *
+ * WordPress' feed URLs (/feed/, /feed/atom/, /category/news/feed/, ...)
+ * 301-redirect to these files through the redirect map, so existing
+ * subscriptions keep working (see scripts/generate-redirects.mjs). Routes live
+ * in src/pages/[...feed].ts.
+ *
+ * Configuration (environment):
+ *   FEED_CONTENT  "full" (default) or "excerpt"
+ *   FEED_LIMIT    Items per feed (default: 20)
+ *   SITE_URL      Required for absolute links in feed readers
+ */
+
+import {
+  getAllPosts,
+  getAllCustomPostType,
+  getCategories,
+  getTags,
+  getUsers,
+  getAuthor,
+  getPostCategories,
+  getPostTags,
+  getLocalFeaturedImageUrl,
+  rewriteContentUrls,
+  stripHtml,
+  type WPPost,
+} from './wordpress';
+import { getSiteName, getSiteUrl, toAbsoluteUrl } from './seo';
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  published: Date;
+  updated: Date;
+  summary: string;
+  content?: string;
+  author?: { name: string; url?: string };
+  categories: string[];
+  image?: string;
+}
+
+export interface Feed {
+  title: string;
+  description: string;
+  /** Path of the HTML page the feed belongs to, e.g. '/category/news' */
+  homePath: string;
+  /** Base path the feed files live under ('' for the site feed) */
+  basePath: string;
+  items: FeedItem[];
+}
+
+export interface FeedScope {
+  basePath: string;
+  homePath: string;
+  title: string;
+  description: string;
+  load: () => Promise<FeedItem[]>;
+}
+
+// scripts/generate-redirects.mjs redirects WordPress feed URLs to these names
+export const FEED_FILES: Record<FeedFormat, string> = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+const CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export function getFeedLimit(): number {
+  const limit = Number(process.env.FEED_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : 20;
+}
+
+export function includeFullContent(): boolean {
+  return (process.env.FEED_CONTENT || 'full').toLowerCase() !== 'excerpt';
+}
+
+export function getFeedUrl(basePath: string, format: FeedFormat): string {
+  return `${basePath}/${FEED_FILES[format]}`;
+}
+
+// ============================================================================
+// Items
+// ============================================================================
+
+// WordPress reports *_gmt dates without a zone designator
+function parseDate(gmt: string | undefined, local: string | undefined): Date | undefined {
+  for (const value of [gmt && `${gmt}Z`, local]) {
+    const date = value ? new Date(value) : undefined;
+    if (date && !Number.isNaN(date.getTime())) return date;
+  }
+  return undefined;
+}
+
+/**
+ * Make root-relative src/href attributes (e.g. localized media) absolute,
+ * since feed readers resolve them against their own origin
+ */
+function absolutizeHtml(html: string): string {
+  const site = getSiteUrl();
+  if (!site) return html;
+  return html.replace(/\b(src|href)=(["'])\/(?!\/)/g, `$1=$2${site.origin}/`);
+}
+
+/**
+ * Convert a post or CPT item to a feed item
+ */
+export function toFeedItem(item: WPPost | any, path: string): FeedItem {
+  const author = getAuthor(item);
+  const image = getLocalFeaturedImageUrl(item);
+  const terms = [
+    ...(item.categories ? getPostCategories(item) : []),
+    ...(item.tags ? getPostTags(item) : []),
+  ];
+  const summary = stripHtml(item.excerpt?.rendered || '');
+  const published = parseDate(item.date_gmt, item.date);
+  const updated = parseDate(item.modified_gmt, item.modified) ?? published;
+
+  return {
+    id: item.guid?.rendered || toAbsoluteUrl(path),
+    url: toAbsoluteUrl(path),
+    title: stripHtml(item.title?.rendered || ''),
+    // Items without usable dates sort last rather than breaking the feed
+    published: published ?? updated ?? new Date(0),
+    updated: updated ?? new Date(0),
+    summary,
+    content: includeFullContent() && item.content?.rendered
+      ? absolutizeHtml(rewriteContentUrls(item.content.rendered))
+      : undefined,
+    author: author ? { name: author.name, url: toAbsoluteUrl(`/author/${author.slug}`) } : undefined,
+    categories: terms.map(term => term.name),
+    image: image ? toAbsoluteUrl(image) : undefined,
+  };
+}
+
+function newestFirst(items: FeedItem[]): FeedItem[] {
+  return items
+    .sort((a, b) => b.published.getTime() - a.published.getTime())
+    .slice(0, getFeedLimit());
+}
+
+/**
+ * Every feed the site publishes
+ */
+export async function getFeedScopes(): Promise<FeedScope[]> {
+  const siteName = getSiteName();
+  const postItems = (posts: WPPost[]) => newestFirst(posts.map(post => toFeedItem(post, `/blog/${post.slug}`)));
+
+  const [categories, tags, users] = await Promise.all([getCategories(), getTags(), getUsers()]);
+
+  return [
+    {
+      basePath: '',
+      homePath: '/blog',
+      title: siteName,
+      description: `Latest posts from ${siteName}`,
+      load: async () => postItems(await getAllPosts()),
+    },
+    {
+      basePath: '/project',
+      homePath: '/project',
+      title: `${siteName} - Projects`,
+      description: `Latest projects from ${siteName}`,
+      load: async () => newestFirst(
+        (await getAllCustomPostType('project')).map(project => toFeedItem(project, `/project/${project.slug}`))
+      ),
+    },
+    ...categories.map(category => ({
+      basePath: `/category/${category.slug}`,
+      homePath: `/category/${category.slug}`,
+      title: `${siteName} - ${category.name}`,
+      description: stripHtml(category.description) || `Posts in ${category.name}`,
+      load: async () => postItems(await getAllPosts({ categories: [category.id] })),
+    })),
+    ...tags.map(tag => ({
+      basePath: `/tag/${tag.slug}`,
+      homePath: `/tag/${tag.slug}`,
+      title: `${siteName} - #${tag.name}`,
+      description: stripHtml(tag.description) || `Posts tagged ${tag.name}`,
+      load: async () => postItems(await getAllPosts({ tags: [tag.id] })),
+    })),
+    ...users.map(user => ({
+      basePath: `/author/${user.slug}`,
+      homePath: `/author/${user.slug}`,
+      title: `${siteName} - ${user.name}`,
+      description: stripHtml(user.description) || `Posts by ${user.name}`,
+      load: async () => postItems(await getAllPosts({ author: user.id })),
+    })),
+  ];
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// CDATA can't contain "]]>", so split it across two sections
+function cdata(text: string): string {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function lastUpdated(feed: Feed): Date {
+  const times = feed.items.map(item => item.updated.getTime());
+  return new Date(times.length > 0 ? Math.max(...times) : Date.now());
+}
+
+function guessImageType(url: string): string {
+  const extension = url.split('?')[0].split('.').pop()?.toLowerCase();
+  const types: Record<string, string> = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml',
+  };
+  return types[extension || ''] || 'image/jpeg';
+}
+
+export function renderRss(feed: Feed): string {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="${item.id === item.url}">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${cdata(item.author.name)}</dc:creator>` : '',
+    ...item.categories.map(category => `      <category>${cdata(category)}</category>`),
+    `      <description>${cdata(item.summary)}</description>`,
+    item.content ? `      <content:encoded>${cdata(item.content)}</content:encoded>` : '',
+    item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${guessImageType(item.image)}" />` : '',
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(toAbsoluteUrl(feed.homePath))}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(toAbsoluteUrl(getFeedUrl(feed.basePath, 'rss')))}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${lastUpdated(feed).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+export function renderAtom(feed: Feed): string {
+  const feedUrl = toAbsoluteUrl(getFeedUrl(feed.basePath, 'atom'));
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(item.url)}" />`,
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    item.author
+      ? `    <author><name>${escapeXml(item.author.name)}</name>${item.author.url ? `<uri>${escapeXml(item.author.url)}</uri>` : ''}</author>`
+      : '',
+    ...item.categories.map(category => `    <category term="${escapeXml(category)}" />`),
+    `    <summary type="html">${escapeXml(item.summary)}</summary>`,
+    item.content ? `    <content type="html">${escapeXml(item.content)}</content>` : '',
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(toAbsoluteUrl(feed.homePath))}" />`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}" />`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <updated>${lastUpdated(feed).toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+export function renderJsonFeed(feed: Feed): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: toAbsoluteUrl(feed.homePath),
+    feed_url: toAbsoluteUrl(getFeedUrl(feed.basePath, 'json')),
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(item.content ? { content_html: item.content } : { content_text: item.summary }),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.author ? [item.author] : undefined,
+      tags: item.categories.length > 0 ? item.categories : undefined,
+      image: item.image,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Render a feed as an HTTP response
+ */
+export function renderFeed(feed: Feed, format: FeedFormat): Response {
+  const body = format === 'rss' ? renderRss(feed) : format === 'atom' ? renderAtom(feed) : renderJsonFeed(feed);
+  return new Response(body, { headers: { 'Content-Type': CONTENT_TYPES[format] } });
+}
@@ -0,0 +1,113 @@
+/**
+ * Local image lookup and responsive image helpers
+ *
+ * WordPress uploads are downloaded to src/media/cms/ by scripts/sync-media.mjs
+ * (with copies in public/images/cms/ that media-map.json points to). Astro can
+ * only optimize the src/media/ copies, so FeaturedImage.astro and
+ * ResponsiveImage.astro both resolve paths and URLs through this module.
+ */
+
+import path from 'node:path';
+import type { ImageMetadata } from 'astro';
+import sharp from 'sharp';
+import { getLocalMediaPath } from './media-map';
+
+// Every optimizable image: /src/media/ (site images) and /src/media/cms/ (WordPress)
+const images = import.meta.glob<{ default: ImageMetadata }>(
+  '/src/media/**/*.{jpeg,jpg,png,gif,webp,avif,svg}'
+);
+
+// Widths generated for srcset, capped at the source width
+export const RESPONSIVE_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// File name without extension or WordPress size suffix, for matching across formats
+function toBaseName(file: string): string {
+  const filename = file.split('/').pop()?.split('?')[0] || '';
+  return filename.replace(/-\d+x\d+(?=\.[^.]+$)/, '').replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+let baseNameIndex: Map<string, string> | undefined;
+
+function findByBaseName(file: string): string | undefined {
+  if (!baseNameIndex) {
+    baseNameIndex = new Map();
+    for (const globPath of Object.keys(images)) {
+      const baseName = toBaseName(globPath);
+      if (!baseNameIndex.has(baseName)) baseNameIndex.set(baseName, globPath);
+    }
+  }
+  return baseNameIndex.get(toBaseName(file));
+}
+
+export interface LocalImage {
+  /** Glob key, e.g. /src/media/cms/photo.jpg */
+  path: string;
+  image: ImageMetadata;
+}
+
+/**
+ * Find the src/media/ copy of an image path or URL
+ * Upload URLs go through media-map.json, so a size variant resolves to the
+ * upload it belongs to; other paths match by file name, so /images/cms/photo.webp
+ * and photo-1024x768.jpg both resolve to src/media/cms/photo.jpg.
+ * Returns null for remote images that were never downloaded.
+ */
+export async function resolveLocalImage(src: string): Promise<LocalImage | null> {
+  if (!src) return null;
+
+  // /images/cms/<file> is the public copy of /src/media/cms/<file>
+  const local = /^https?:\/\//.test(src) ? getLocalMediaPath(src) : src;
+
+  let globPath: string | undefined;
+  if (local?.startsWith('/src/media/')) {
+    globPath = local;
+  } else if (local?.startsWith('src/media/')) {
+    globPath = '/' + local;
+  } else if (local?.startsWith('/images/cms/')) {
+    globPath = '/src/media/cms/' + local.slice('/images/cms/'.length);
+  }
+  if (local && (!globPath || !images[globPath])) {
+    globPath = findByBaseName(local);
+  }
+
+  if (!globPath || !images[globPath]) return null;
+  const { default: image } = await images[globPath]();
+  return { path: globPath, image };
+}
+
+/**
+ * srcset widths for an image displayed at most `maxWidth` pixels wide
+ */
+export function getResponsiveWidths(image: ImageMetadata, maxWidth: number = image.width): number[] {
+  // Up to twice the display width for high-density screens
+  const limit = Math.min(image.width, maxWidth * 2);
+  const widths = RESPONSIVE_WIDTHS.filter(width => width < limit);
+  return [...widths, limit];
+}
+
+const placeholders = new Map<string, Promise<string | undefined>>();
+
+/**
+ * Blurred, inlined preview of an image for use as a CSS background
+ * A 16px-wide thumbnail inside an SVG blur filter, so it scales up smoothly.
+ */
+export function getBlurPlaceholder(local: LocalImage): Promise<string | undefined> {
+  const { format, width, height } = local.image;
+  if (format === 'svg' || format === 'gif') return Promise.resolve(undefined);
+
+  let placeholder = placeholders.get(local.path);
+  if (!placeholder) {
+    placeholder = sharp(path.join(process.cwd(), local.path))
+      .resize(16)
+      .webp({ quality: 50 })
+      .toBuffer()
+      .then(buffer => {
+        const thumbnail = `data:image/webp;base64,${buffer.toString('base64')}`;
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}"><filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="20"/><feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter><image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" href="${thumbnail}"/></svg>`;
+        return `url("data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}")`;
+      })
+      .catch(() => undefined);
+    placeholders.set(local.path, placeholder);
+  }
+  return placeholder;
+}
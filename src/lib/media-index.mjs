@@ -0,0 +1,165 @@
+/**
+ * Lookup index over media-map.json
+ *
+ * Kept in plain JavaScript so src/lib/media-map.ts and Node scripts
+ * (import-content) resolve upload URLs to local copies the same way.
+ *
+ * URLs resolve, in order, by exact URL (with or without size suffix), then
+ * (for wp-content/uploads URLs) by upload path (2024/05/photo.jpg, ignoring
+ * host and size suffix) and by bare file name. A file name shared by several
+ * uploads is a collision: it is never resolved by name alone, since it could
+ * pick the wrong image.
+ */
+
+const UPLOADS_SEGMENT = '/wp-content/uploads/';
+
+/**
+ * @typedef {object} MediaFile
+ * @property {string} local Public path of the local copy, e.g. /images/cms/photo.jpg
+ * @property {number} [id] WordPress attachment ID, when the upload is in the media library
+ * @property {string} [url] Original upload URL
+ * @property {string[]} variants Every URL (size variants included) that maps to this file
+ */
+
+/**
+ * @typedef {object} MediaIndex
+ * @property {MediaFile[]} files
+ * @property {Map<string, MediaFile>} byUrl
+ * @property {Map<string, MediaFile>} byUploadPath
+ * @property {Map<string, MediaFile>} byBaseName
+ * @property {Map<number, MediaFile>} byId
+ * @property {Map<string, MediaFile[]>} collisions Base file names shared by more than one upload
+ */
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+export function stripQuery(url) {
+  return url.split(/[?#]/)[0];
+}
+
+/**
+ * @param {string} file
+ * @returns {string}
+ */
+function stripSizeSuffix(file) {
+  return file.replace(/-\d+x\d+(?=\.[^./]+$)/, '');
+}
+
+/**
+ * Path below wp-content/uploads/ without size suffix, e.g. "2024/05/photo.jpg"
+ * @param {string} url
+ * @returns {string | null}
+ */
+export function getUploadPath(url) {
+  const clean = stripQuery(url);
+  const index = clean.indexOf(UPLOADS_SEGMENT);
+  if (index === -1) return null;
+  return stripSizeSuffix(clean.slice(index + UPLOADS_SEGMENT.length)).toLowerCase();
+}
+
+/**
+ * File name without directory, query or size suffix
+ * e.g., "https://site/wp-content/uploads/2024/05/image-1024x585.png" -> "image.png"
+ * @param {string} url
+ * @returns {string | null}
+ */
+export function getBaseFilename(url) {
+  const filename = stripQuery(url).split('/').pop();
+  return filename ? stripSizeSuffix(filename).toLowerCase() : null;
+}
+
+/**
+ * Files listed in parsed media-map.json
+ *
+ * sync-media writes `{ files: { <public path>: { id, url, variants } } }`; the
+ * older flat `{ <url>: <public path> }` format is still read.
+ * @param {Record<string, any>} data
+ * @returns {MediaFile[]}
+ */
+export function readMediaFiles(data) {
+  if (data.files && typeof data.files === 'object') {
+    return Object.entries(data.files).map(([local, file]) => ({
+      local,
+      id: file.id ?? undefined,
+      url: file.url,
+      variants: file.variants || (file.url ? [file.url] : []),
+    }));
+  }
+
+  // Flat format: group variant URLs by local path
+  /** @type {Map<string, MediaFile>} */
+  const files = new Map();
+  for (const [url, local] of Object.entries(data)) {
+    if (typeof local !== 'string') continue;
+    let file = files.get(local);
+    if (!file) {
+      file = { local, variants: [] };
+      files.set(local, file);
+    }
+    file.variants.push(url);
+    if (!file.url || url.length < file.url.length) file.url = url;
+  }
+  return [...files.values()];
+}
+
+/**
+ * @param {MediaFile[]} files
+ * @returns {MediaIndex}
+ */
+export function buildMediaIndex(files) {
+  /** @type {MediaIndex} */
+  const index = {
+    files,
+    byUrl: new Map(),
+    byUploadPath: new Map(),
+    byBaseName: new Map(),
+    byId: new Map(),
+    collisions: new Map(),
+  };
+
+  /** @type {Map<string, MediaFile[]>} */
+  const byName = new Map();
+  for (const file of files) {
+    if (file.id) index.byId.set(file.id, file);
+    for (const url of file.variants) {
+      index.byUrl.set(stripQuery(url), file);
+      const uploadPath = getUploadPath(url);
+      if (uploadPath && !index.byUploadPath.has(uploadPath)) index.byUploadPath.set(uploadPath, file);
+    }
+
+    const baseName = getBaseFilename(file.url || file.local);
+    if (!baseName) continue;
+    const sharing = byName.get(baseName) || [];
+    sharing.push(file);
+    byName.set(baseName, sharing);
+  }
+
+  for (const [baseName, sharing] of byName) {
+    if (sharing.length === 1) index.byBaseName.set(baseName, sharing[0]);
+    else index.collisions.set(baseName, sharing);
+  }
+  return index;
+}
+
+/**
+ * Find the local copy of an upload URL, or null
+ * @param {MediaIndex} index
+ * @param {string} url
+ * @returns {MediaFile | null}
+ */
+export function findMedia(index, url) {
+  const clean = stripQuery(url);
+  const exact = index.byUrl.get(clean) || index.byUrl.get(stripSizeSuffix(clean));
+  if (exact) return exact;
+
+  // Anything else has to look like an upload; a file name alone says too little
+  const uploadPath = getUploadPath(clean);
+  if (!uploadPath) return null;
+  const byPath = index.byUploadPath.get(uploadPath);
+  if (byPath) return byPath;
+
+  const baseName = getBaseFilename(clean);
+  return (baseName && index.byBaseName.get(baseName)) || null;
+}
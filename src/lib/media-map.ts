@@ -0,0 +1,147 @@
+/**
+ * Indexed lookups into src/lib/media-map.json
+ *
+ * scripts/sync-media.mjs writes one entry per downloaded upload, keyed by its
+ * public path:
+ *
+ *   { "files": { "/images/cms/photo.jpg": { "id": 12, "url": "<original upload URL>", "variants": [...] } } }
+ *
+ * (The older flat `{ "<url>": "<public path>" }` format is still read.)
+ *
+ * The index is built once, so a lookup is a few Map reads whatever the size
+ * of the library. How URLs resolve, and why file names shared by several
+ * uploads never do, is described in media-index.mjs, which import-content
+ * shares.
+ *
+ * Upload URLs that don't resolve are recorded during the build, once per URL
+ * with the pages that use it, and listed at the end of it with the collisions
+ * (see getMissingMedia()).
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+import mediaMapData from './media-map.json';
+import {
+  buildMediaIndex,
+  findMedia,
+  getBaseFilename,
+  getUploadPath,
+  readMediaFiles,
+  stripQuery,
+  type MediaFile,
+  type MediaIndex,
+} from './media-index.mjs';
+
+// Defined in media-index.mjs, which the Node scripts share
+export type { MediaFile };
+export { getUploadPath, getBaseFilename };
+
+export interface MissingMedia {
+  url: string;
+  reason: 'missing' | 'ambiguous';
+  /** Pages that use the URL; a page looks a URL up many times, it is listed once */
+  pages: string[];
+  /** Local files an ambiguous name could refer to */
+  candidates?: string[];
+}
+
+// What sync-media downloads; links to other uploads (PDFs, ...) aren't reported
+const IMAGE_FILE = /\.(?:jpe?g|png|gif|webp|avif|svg)$/i;
+
+// Shared with the build:done hook in astro.config.mjs, which runs in the same process
+const MISSING_KEY = Symbol.for('wordpress.missingMedia');
+
+// Path of the page being rendered, set by src/middleware.ts; null for an
+// on-demand render, which has no build report to add to
+const currentPage = new AsyncLocalStorage<string | null>();
+
+let mediaIndex: MediaIndex | undefined;
+
+function getIndex(): MediaIndex {
+  mediaIndex ??= buildMediaIndex(readMediaFiles(mediaMapData as Record<string, any>));
+  return mediaIndex;
+}
+
+function getMissingRegistry(): Map<string, MissingMedia> {
+  const store = globalThis as Record<symbol, Map<string, MissingMedia> | undefined>;
+  return (store[MISSING_KEY] ??= new Map());
+}
+
+function recordMissing(url: string, reason: MissingMedia['reason'], candidates?: MediaFile[]): void {
+  const page = currentPage.getStore();
+  if (page === null) return;
+  const registry = getMissingRegistry();
+  const existing = registry.get(url);
+  if (existing) {
+    if (page && !existing.pages.includes(page)) existing.pages.push(page);
+    return;
+  }
+  registry.set(url, { url, reason, pages: page ? [page] : [], candidates: candidates?.map(file => file.local) });
+}
+
+/**
+ * Run a page render with its path in scope, so missing uploads are reported
+ * once per page rather than once per lookup. A null path (on-demand renders,
+ * e.g. previews) records nothing, so a long-running server doesn't collect them.
+ */
+export function withMediaPage<T>(path: string | null, render: () => T): T {
+  return currentPage.run(path, render);
+}
+
+/**
+ * Find the local copy of a WordPress upload URL
+ * Returns null when there is none; for upload URLs that is recorded (see
+ * getMissingMedia()), unless no media has been synced at all.
+ */
+export function findLocalMedia(url: string | null | undefined): MediaFile | null {
+  if (!url) return null;
+  const index = getIndex();
+  if (index.files.length === 0) return null;
+
+  const file = findMedia(index, url);
+  if (file) return file;
+
+  const clean = stripQuery(url);
+  if (getUploadPath(clean) && IMAGE_FILE.test(clean)) {
+    const baseName = getBaseFilename(clean);
+    const candidates = baseName ? index.collisions.get(baseName) : undefined;
+    recordMissing(clean, candidates ? 'ambiguous' : 'missing', candidates);
+  }
+  return null;
+}
+
+/**
+ * Public path of the local copy of an upload URL, or null
+ */
+export function getLocalMediaPath(url: string | null | undefined): string | null {
+  return findLocalMedia(url)?.local ?? null;
+}
+
+/**
+ * Local copy of a media library item by attachment ID
+ */
+export function getLocalMediaById(id: number): MediaFile | null {
+  return getIndex().byId.get(id) ?? null;
+}
+
+/**
+ * Short hash of media-map.json; HTML rewritten against an older map may still
+ * point at WordPress for uploads that have been synced since
+ */
+export function getMediaMapVersion(): string {
+  return createHash('sha256').update(JSON.stringify(mediaMapData)).digest('hex').slice(0, 16);
+}
+
+/**
+ * File names shared by several uploads, which are only resolved by full URL
+ */
+export function getMediaCollisions(): Array<{ name: string; files: string[] }> {
+  return [...getIndex().collisions].map(([name, files]) => ({ name, files: files.map(file => file.local) }));
+}
+
+/**
+ * Upload URLs looked up so far that have no (unambiguous) local copy
+ */
+export function getMissingMedia(): MissingMedia[] {
+  return [...getMissingRegistry().values()];
+}
@@ -3,14 +3,33 @@
  * 
  * Auto-generated by PhantomWP
  * 
+ * Menus come from src/config/menus.json (the Menu Builder), validated against
+ * src/config/menus.schema.mjs. Each menu can be placed in a location (header,
+ * footer, sidebar), import its items from a WordPress menu, and auto-sync
+ * site and WordPress pages; wp_page items follow their page's current slug.
+ * 
  * Usage in Astro components:
  * ---
- * import { getNavigationPages, getMenuItems, isActivePath, getBreadcrumbs } from '../lib/navigation';
+ * import { getNavigationPages, getMenuItems, getMenuForLocation, isActivePath, getBreadcrumbs } from '../lib/navigation';
  * const pages = await getNavigationPages();
  * const menuItems = await getMenuItems(); // Use this for custom menus with hierarchy
+ * const footerMenu = await getMenuForLocation('footer');
  * ---
  */
 
+import { parseMenusConfig, MENU_LOCATIONS } from '../config/menus.schema.mjs';
+import {
+  getAllPages,
+  getMenus as getWPMenus,
+  getMenuItemsByMenu,
+  getSource,
+  decodeEntities,
+  type WPMenuItem,
+  type WPPage,
+} from './wordpress';
+import redirects from './redirects.json';
+import { memoizeLoad } from './wordpress-cache';
+
 // ============================================================================
 // Types
 // ============================================================================
@@ -21,20 +40,37 @@ export interface NavigationPage {
   slug: string;
 }
 
+export type MenuLocation = typeof MENU_LOCATIONS[number];
+
 export interface MenuItem {
   id: string;
   type: 'home' | 'page' | 'wp_page' | 'custom';
   label: string;
   url: string;
   wpPageId?: number;
+  target?: '_self' | '_blank';
   children?: MenuItem[];
 }
 
-export interface MenuConfig {
+export interface Menu {
+  id: string;
+  name: string;
+  slug: string;
+  style: 'horizontal' | 'vertical' | 'dropdown';
+  location?: MenuLocation;
   items: MenuItem[];
   showHome: boolean;
+  mobileHamburger: boolean;
+  autoSync: boolean;
   excludedPages: string[];
-  useCustomMenu: boolean;
+  wpMenu?: number | string;
+  wpLocation?: string;
+}
+
+export interface MenuConfig {
+  menus: Menu[];
+  excludedPages: string[];
+  activeMenuId?: string;
 }
 
 export interface BreadcrumbItem {
@@ -47,45 +83,266 @@ export interface BreadcrumbItem {
 // Menu Configuration
 // ============================================================================
 
-let menuConfig: MenuConfig | null = null;
+// Either file may be missing: glob instead of import
+const configFiles = import.meta.glob<{ default: any }>('../config/{menus,menu}.json', { eager: true });
+
+let menuConfig: MenuConfig | null | undefined;
 
 /**
  * Load menu configuration from src/config/menus.json
- * Returns null if file doesn't exist or custom menu is disabled
+ * Falls back to the legacy src/config/menu.json; returns null if neither
+ * defines a menu. Throws if menus.json doesn't match the schema.
  */
-async function loadMenuConfig(): Promise<MenuConfig | null> {
-  if (menuConfig !== null) return menuConfig;
+function loadMenuConfig(): MenuConfig | null {
+  if (menuConfig !== undefined) return menuConfig;
+  menuConfig = null;
   
+  const menus = configFiles['../config/menus.json']?.default;
+  if (menus) {
+    const config = parseMenusConfig(menus) as MenuConfig;
+    if (config.menus.length > 0) menuConfig = config;
+    return menuConfig;
+  }
+  
+  // Legacy: the old single-menu menu.json
+  const legacy = configFiles['../config/menu.json']?.default;
+  if (legacy?.useCustomMenu) {
+    const config = parseMenusConfig({
+      menus: [{
+        id: 'main',
+        name: 'Main Menu',
+        slug: 'main',
+        location: 'header',
+        items: legacy.items || [],
+        showHome: legacy.showHome ?? true,
+      }],
+      excludedPages: legacy.excludedPages || [],
+    }, 'src/config/menu.json') as MenuConfig;
+    menuConfig = config;
+  }
+  return menuConfig;
+}
+
+// ----------------------------------------------------------------------------
+// WordPress menus
+// ----------------------------------------------------------------------------
+
+const legacyPaths = (redirects as { paths: Record<string, string> }).paths;
+
+/**
+ * Turn a WordPress URL into a site path
+ * Links to the WordPress site go through the redirect map, so /2024/01/hello/
+ * becomes /blog/hello; other URLs are left alone.
+ */
+function toSiteUrl(url: string): string {
+  let parsed: URL;
   try {
-    // Try to import the new menus.json config (from Menu Builder)
-    const config = await import('../config/menus.json');
-    if (config.default && config.default.menus && config.default.menus.length > 0) {
-      // Convert new format to MenuConfig format - use first menu as default
-      const firstMenu = config.default.menus[0];
-      menuConfig = {
-        items: firstMenu.items || [],
-        showHome: firstMenu.showHome ?? true,
-        excludedPages: config.default.excludedPages || [],
-        useCustomMenu: true,
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.host !== new URL(getSource().apiUrl).host) return url;
+  const path = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+  return (legacyPaths[path] ?? path) + parsed.search + parsed.hash;
+}
+
+function toMenuItem(item: WPMenuItem): MenuItem {
+  const url = toSiteUrl(item.url);
+  const isPage = item.type === 'post_type' && item.object === 'page';
+  return {
+    id: 'wp_' + item.id,
+    type: isPage ? 'wp_page' : url === '/' ? 'home' : 'custom',
+    label: decodeEntities(item.title.rendered),
+    url,
+    wpPageId: isPage ? item.object_id : undefined,
+    target: item.target === '_blank' ? '_blank' : undefined,
+  };
+}
+
+/**
+ * Items of the WordPress menu a menu imports (by ID, slug or theme location)
+ * Returns null when it can't be loaded (the menus endpoint needs credentials).
+ */
+async function importWordPressMenu(menu: Menu): Promise<MenuItem[] | null> {
+  const wanted = menu.wpMenu !== undefined ? `menu "${menu.wpMenu}"` : `location "${menu.wpLocation}"`;
+  const wpMenus = await getWPMenus();
+  const wpMenu = wpMenus.find(candidate =>
+    menu.wpMenu !== undefined
+      ? candidate.id === menu.wpMenu || candidate.slug === menu.wpMenu
+      : candidate.locations?.includes(menu.wpLocation!)
+  );
+  if (!wpMenu) {
+    console.warn(`[navigation] WordPress ${wanted} not found; "${menu.slug}" uses the items in menus.json`);
+    return null;
+  }
+  
+  const wpItems = await getMenuItemsByMenu(wpMenu.id);
+  const items = new Map(wpItems.map(item => [item.id, toMenuItem(item)]));
+  const topLevel: MenuItem[] = [];
+  for (const wpItem of wpItems) {
+    const item = items.get(wpItem.id)!;
+    const parent = wpItem.parent ? items.get(wpItem.parent) : undefined;
+    if (parent) (parent.children ??= []).push(item);
+    else topLevel.push(item);
+  }
+  return topLevel;
+}
+
+// ----------------------------------------------------------------------------
+// Resolving menus
+// ----------------------------------------------------------------------------
+
+const getWPPages = memoizeLoad((): Promise<WPPage[]> =>
+  getAllPages().catch(error => {
+    console.error('[navigation] Failed to fetch WordPress pages:', error);
+    return [];
+  })
+);
+
+function normalizeUrl(url: string): string {
+  return url.length > 1 ? url.replace(/\/+$/, '') : url;
+}
+
+function hasPageItems(items: MenuItem[]): boolean {
+  return items.some(item => item.wpPageId !== undefined || (item.children && hasPageItems(item.children)));
+}
+
+/**
+ * Point wp_page items at their page's current URL and drop excluded items
+ */
+function resolveItems(items: MenuItem[], pagesById: Map<number, WPPage>, excluded: Set<string>, menu: Menu): MenuItem[] {
+  return items.flatMap(item => {
+    let resolved = item;
+    if (item.type === 'wp_page' && item.wpPageId && pagesById.size > 0) {
+      const page = pagesById.get(item.wpPageId);
+      if (!page) {
+        console.warn(`[navigation] "${menu.slug}" links to WordPress page ${item.wpPageId}, which no longer exists; skipping "${item.label}"`);
+        return [];
+      }
+      resolved = {
+        ...item,
+        url: page.slug === 'home' ? '/' : '/' + page.slug,
+        label: item.label || decodeEntities(page.title.rendered),
       };
-      return menuConfig;
     }
-  } catch {
-    // New format doesn't exist, try legacy format
+    if (excluded.has(normalizeUrl(resolved.url))) return [];
+    const children = resolved.children && resolveItems(resolved.children, pagesById, excluded, menu);
+    return [{ ...resolved, children: children?.length ? children : undefined }];
+  });
+}
+
+async function resolveMenu(menu: Menu, config: MenuConfig): Promise<Menu> {
+  const excluded = new Set([...config.excludedPages, ...menu.excludedPages].map(normalizeUrl));
+  
+  let items = menu.items;
+  if (menu.wpMenu !== undefined || menu.wpLocation) {
+    items = (await importWordPressMenu(menu)) ?? menu.items;
   }
   
-  try {
-    // Legacy: Try to import the old menu.json config
-    const config = await import('../config/menu.json');
-    if (config.default && config.default.useCustomMenu) {
-      menuConfig = config.default as MenuConfig;
-      return menuConfig;
+  const needsPages = menu.autoSync || hasPageItems(items);
+  const wpPages = needsPages ? await getWPPages() : [];
+  const pagesById = new Map(wpPages.map(page => [page.id, page]));
+  items = resolveItems(items, pagesById, excluded, menu);
+  
+  const present = new Set<string>();
+  const collect = (list: MenuItem[]) => list.forEach(item => {
+    present.add(normalizeUrl(item.url));
+    if (item.children) collect(item.children);
+  });
+  collect(items);
+  
+  if (menu.showHome && !present.has('/') && !excluded.has('/')) {
+    items = [{ id: 'home', type: 'home', label: 'Home', url: '/' }, ...items];
+    present.add('/');
+  }
+  
+  if (menu.autoSync) {
+    const discovered: MenuItem[] = [
+      ...(await getNavigationPages(menu.excludedPages)).map(page => ({
+        id: 'page_' + page.slug,
+        type: 'page' as const,
+        label: page.title,
+        url: page.url,
+      })),
+      ...wpPages
+        .filter(page => page.slug !== 'home')
+        .map(page => ({
+          id: 'wp_' + page.slug,
+          type: 'wp_page' as const,
+          label: decodeEntities(page.title.rendered),
+          url: '/' + page.slug,
+          wpPageId: page.id,
+        })),
+    ];
+    for (const item of discovered) {
+      const url = normalizeUrl(item.url);
+      if (present.has(url) || excluded.has(url)) continue;
+      present.add(url);
+      items = [...items, item];
     }
-  } catch {
-    // File doesn't exist or parse error - use auto-discovery
   }
   
-  return null;
+  return { ...menu, items };
+}
+
+const resolvedMenus = new Map<string, () => Promise<Menu>>();
+
+function getResolvedMenu(menu: Menu, config: MenuConfig): Promise<Menu> {
+  let load = resolvedMenus.get(menu.id);
+  if (!load) {
+    load = memoizeLoad(() => resolveMenu(menu, config));
+    resolvedMenus.set(menu.id, load);
+  }
+  return load();
+}
+
+// ----------------------------------------------------------------------------
+// Public API
+// ----------------------------------------------------------------------------
+
+/**
+ * Get every configured menu, with items resolved
+ */
+export async function getAllMenus(): Promise<Menu[]> {
+  const config = loadMenuConfig();
+  if (!config) return [];
+  return Promise.all(config.menus.map(menu => getResolvedMenu(menu, config)));
+}
+
+/**
+ * Get the active menu (activeMenuId, or the first menu)
+ */
+export async function getActiveMenu(): Promise<Menu | null> {
+  const config = loadMenuConfig();
+  if (!config) return null;
+  const menu = config.menus.find(candidate => candidate.id === config.activeMenuId) ?? config.menus[0];
+  return getResolvedMenu(menu, config);
+}
+
+/**
+ * Get the menu assigned to a location
+ * Without a menu assigned to it, the header shows the active menu.
+ * 
+ * Usage:
+ * ```astro
+ * ---
+ * import { getMenuForLocation } from '../lib/navigation';
+ * const footerMenu = await getMenuForLocation('footer');
+ * ---
+ * 
+ * {footerMenu && (
+ *   <nav aria-label={footerMenu.name}>
+ *     {footerMenu.items.map(item => <a href={item.url} target={item.target}>{item.label}</a>)}
+ *   </nav>
+ * )}
+ * ```
+ */
+export async function getMenuForLocation(location: MenuLocation): Promise<Menu | null> {
+  const config = loadMenuConfig();
+  if (!config) return null;
+  const menu = config.menus.find(candidate => candidate.location === location);
+  if (menu) return getResolvedMenu(menu, config);
+  return location === 'header' ? getActiveMenu() : null;
 }
 
 /**
@@ -116,9 +373,9 @@ async function loadMenuConfig(): Promise<MenuConfig | null> {
  * ```
  */
 export async function getMenuItems(): Promise<MenuItem[]> {
-  const config = await loadMenuConfig();
-  if (config && config.useCustomMenu) {
-    return config.items;
+  const menu = await getActiveMenu();
+  if (menu) {
+    return menu.items;
   }
   
   // Fall back to auto-discovery (flat list)
@@ -135,12 +392,11 @@ export async function getMenuItems(): Promise<MenuItem[]> {
  * Check if menu has custom configuration enabled
  */
 export async function hasCustomMenu(): Promise<boolean> {
-  const config = await loadMenuConfig();
-  return config !== null && config.useCustomMenu;
+  return loadMenuConfig() !== null;
 }
 
 /**
- * Get menu items by menu name/slug
+ * Get a menu by name or slug
  * Useful when you have multiple menus (e.g., main, footer, sidebar)
  * 
  * Usage:
@@ -159,25 +415,12 @@ export async function hasCustomMenu(): Promise<boolean> {
  * )}
  * ```
  */
-export async function getMenuByName(nameOrSlug: string): Promise<{ name: string; items: MenuItem[]; style: string } | null> {
-  try {
-    const config = await import('../config/menus.json');
-    if (config.default && config.default.menus) {
-      const menu = config.default.menus.find(
-        (m: any) => m.name.toLowerCase() === nameOrSlug.toLowerCase() || m.slug === nameOrSlug
-      );
-      if (menu) {
-        return {
-          name: menu.name,
-          items: menu.items || [],
-          style: menu.style || 'horizontal',
-        };
-      }
-    }
-  } catch {
-    // Config doesn't exist
-  }
-  return null;
+export async function getMenuByName(nameOrSlug: string): Promise<Menu | null> {
+  const config = loadMenuConfig();
+  const menu = config?.menus.find(
+    candidate => candidate.name.toLowerCase() === nameOrSlug.toLowerCase() || candidate.slug === nameOrSlug
+  );
+  return menu && config ? getResolvedMenu(menu, config) : null;
 }
 
 /**
@@ -185,15 +428,7 @@ export async function getMenuByName(nameOrSlug: string): Promise<{ name: string;
  * Useful for debugging or dynamic menu selection
  */
 export async function getAvailableMenus(): Promise<string[]> {
-  try {
-    const config = await import('../config/menus.json');
-    if (config.default && config.default.menus) {
-      return config.default.menus.map((m: any) => m.name);
-    }
-  } catch {
-    // Config doesn't exist
-  }
-  return [];
+  return loadMenuConfig()?.menus.map(menu => menu.name) ?? [];
 }
 
 // ============================================================================
@@ -204,7 +439,8 @@ export async function getAvailableMenus(): Promise<string[]> {
  * Get all top-level pages for navigation (excluding blog posts, index, 404, dynamic routes)
  * 
  * Note: If a custom menu is configured, this still returns auto-discovered pages
- * but they will be filtered by excludedPages if set.
+ * but they will be filtered by excludedPages if set (the global list, plus
+ * `menuExcludedPages` for a specific menu).
  * 
  * For hierarchical menus with dropdowns, use getMenuItems() instead.
  * 
@@ -222,10 +458,10 @@ export async function getAvailableMenus(): Promise<string[]> {
  * </nav>
  * ```
  */
-export async function getNavigationPages(): Promise<NavigationPage[]> {
+export async function getNavigationPages(menuExcludedPages: string[] = []): Promise<NavigationPage[]> {
   // Load config to check for excluded pages
-  const config = await loadMenuConfig();
-  const excludedPages = config?.excludedPages || [];
+  const config = loadMenuConfig();
+  const excludedPages = [...(config?.excludedPages || []), ...menuExcludedPages];
   
   const pageFiles = import.meta.glob('../pages/**/*.{md,mdx,astro}', { eager: true });
   
@@ -284,7 +520,9 @@ export async function getNavigationPages(): Promise<NavigationPage[]> {
 }
 
 /**
- * Get all pages including nested ones (for sitemap generation)
+ * Get all file-based pages (src/pages) including nested ones
+ * Dynamic routes are skipped; the site tree (src/lib/site-tree.ts) adds
+ * WordPress content, and the XML sitemap lists every built page.
  * 
  * Usage:
  * ```astro
@@ -407,6 +645,8 @@ export function getActiveClass(
 
 /**
  * Generate breadcrumb items from a URL path
+ * Labels are title-cased segments; getBreadcrumbTrail() in ./site-tree uses
+ * real titles and WordPress parent pages.
  * 
  * Usage:
  * ```astro
@@ -0,0 +1,70 @@
+/**
+ * Archive pagination helpers
+ *
+ * Archives (blog, category, tag, author) are rendered by one rest-param route
+ * each, e.g. `src/pages/category/[slug]/[...page].astro`, which serves both
+ * `/category/news` and `/category/news/page/2`, following WordPress' URLs.
+ *
+ * Usage:
+ *   export async function getStaticPaths({ paginate }) {
+ *     const posts = await getAllPosts();
+ *     return paginateArchive(paginate, posts, { base: '/blog' });
+ *   }
+ */
+
+import type { Page, PaginateFunction } from 'astro';
+
+export const POSTS_PER_PAGE = 10;
+
+export interface ArchiveOptions<P extends Record<string, any>> {
+  /** Path of the archive's first page, e.g. '/category/news' */
+  base: string;
+  /** Route params besides `page` (e.g. { slug }) */
+  params?: Record<string, string>;
+  /** Extra props passed to every page */
+  props?: P;
+  pageSize?: number;
+}
+
+/**
+ * URL of page `n` of an archive: the base path for page 1, `<base>/page/<n>` after
+ */
+export function getArchivePageUrl(base: string, n: number): string {
+  const root = base.replace(/\/+$/, '');
+  return n <= 1 ? root || '/' : `${root}/page/${n}`;
+}
+
+/**
+ * Paginate an archive with Astro's paginate(), rewriting the `page` param and
+ * the prev/next/first/last URLs to the `<base>/page/<n>` scheme
+ */
+export function paginateArchive<T, P extends Record<string, any> = {}>(
+  paginate: PaginateFunction,
+  items: T[],
+  options: ArchiveOptions<P>
+) {
+  const { base, params = {}, props, pageSize = POSTS_PER_PAGE } = options;
+
+  return paginate(items, { pageSize, params, props }).map(path => {
+    const page = path.props.page as Page<T>;
+    const n = page.currentPage;
+    const url = (target: number) => getArchivePageUrl(base, target);
+
+    return {
+      params: { ...params, page: n > 1 ? `page/${n}` : undefined },
+      props: {
+        ...path.props,
+        page: {
+          ...page,
+          url: {
+            current: url(n),
+            prev: n > 1 ? url(n - 1) : undefined,
+            next: n < page.lastPage ? url(n + 1) : undefined,
+            first: n > 1 ? url(1) : undefined,
+            last: n < page.lastPage ? url(page.lastPage) : undefined,
+          },
+        } as Page<T>,
+      },
+    };
+  });
+}
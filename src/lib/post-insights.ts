@@ -0,0 +1,216 @@
+/**
+ * Related posts, previous/next links, reading time and table of contents
+ *
+ * Everything is computed once per build over all posts (the first post page
+ * that asks pays for it) and then read from a map by post ID.
+ *
+ * Related posts are scored by:
+ * - shared categories and tags, each weighted by how rare it is, so a
+ *   category every post has (Uncategorized) counts for nothing
+ * - text similarity: cosine similarity of TF-IDF word vectors over the
+ *   stripped content and title
+ *
+ * Usage:
+ * ---
+ * import { getPostInsights } from '../lib/post-insights';
+ * const { related, previous, next, readingTime, toc } = await getPostInsights(post);
+ * ---
+ */
+
+import { getAllPosts, getPostCategories, getPostTags, stripHtml, type WPPost } from './wordpress';
+import { getContentHeadings, type ContentHeading } from './content-transform';
+import { memoizeLoad } from './wordpress-cache';
+
+export interface PostInsights {
+  /** Most related posts first */
+  related: WPPost[];
+  /** Older post */
+  previous: WPPost | null;
+  /** Newer post */
+  next: WPPost | null;
+  /** Minutes, at least 1 */
+  readingTime: number;
+  wordCount: number;
+  /** <h2> and <h3> headings, empty when there are too few for a table of contents */
+  toc: ContentHeading[];
+}
+
+const RELATED_LIMIT = 3;
+const WORDS_PER_MINUTE = 225;
+// A table of contents for one or two headings is noise
+const TOC_MIN_HEADINGS = 3;
+// Terms kept per post for text similarity
+const VECTOR_SIZE = 100;
+
+// Score weights: one rare shared term (or identical text) is worth about this much
+const CATEGORY_WEIGHT = 1;
+const TAG_WEIGHT = 1.5;
+const TEXT_WEIGHT = 3;
+
+const STOP_WORDS = new Set(
+  ('about after again also been before being between both could does doing down during each from further have having here ' +
+    'into itself just more most other over same should some such than that their them then there these they this those ' +
+    'through under until very were what when where which while will with would your yours').split(' ')
+);
+
+interface AnalyzedPost {
+  post: WPPost;
+  words: string[];
+  terms: string[];
+  vector: Map<string, number>;
+  norm: number;
+}
+
+// ============================================================================
+// Text
+// ============================================================================
+
+// Plain text of a post body; block boundaries become spaces, shortcodes go
+function toPlainText(html: string): string {
+  return stripHtml(
+    html
+      .replace(/<\/(?:p|div|h[1-6]|li|td|th|blockquote|figcaption|pre)>|<br\s*\/?>/gi, '$& ')
+      .replace(/\[\/?[a-zA-Z][\w-]*[^\]]*\]/g, ' ')
+  );
+}
+
+function tokenize(text: string): string[] {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function getTermFrequencies(words: string[]): Map<string, number> {
+  const frequencies = new Map<string, number>();
+  for (const word of words) {
+    if (word.length < 4 || STOP_WORDS.has(word) || /^\d+$/.test(word)) continue;
+    frequencies.set(word, (frequencies.get(word) || 0) + 1);
+  }
+  return frequencies;
+}
+
+function analyze(post: WPPost): Omit<AnalyzedPost, 'vector' | 'norm'> & { frequencies: Map<string, number> } {
+  const words = tokenize(toPlainText(post.content?.rendered || ''));
+  const frequencies = getTermFrequencies([...tokenize(stripHtml(post.title.rendered)), ...words]);
+  const terms = [
+    ...getPostCategories(post).map(category => `category:${category.id}`),
+    ...getPostTags(post).map(tag => `tag:${tag.id}`),
+  ];
+  return { post, words, terms, frequencies };
+}
+
+function toVector(frequencies: Map<string, number>, idf: (term: string) => number): Pick<AnalyzedPost, 'vector' | 'norm'> {
+  const weighted = [...frequencies]
+    .map(([term, count]): [string, number] => [term, count * idf(term)])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, VECTOR_SIZE);
+  const vector = new Map(weighted);
+  const norm = Math.sqrt(weighted.reduce((sum, [, weight]) => sum + weight * weight, 0));
+  return { vector, norm };
+}
+
+function cosine(a: AnalyzedPost, b: AnalyzedPost): number {
+  if (!a.norm || !b.norm) return 0;
+  const [small, large] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector];
+  let dot = 0;
+  for (const [term, weight] of small) dot += weight * (large.get(term) || 0);
+  return dot / (a.norm * b.norm);
+}
+
+// ============================================================================
+// Building the index
+// ============================================================================
+
+interface InsightsIndex {
+  analyzed: AnalyzedPost[];
+  byId: Map<number, AnalyzedPost>;
+  insights: Map<number, PostInsights>;
+  termIdf: (term: string) => number;
+  wordIdf: (term: string) => number;
+}
+
+function getIdf(documents: Iterable<string>[], total: number): (term: string) => number {
+  const counts = new Map<string, number>();
+  for (const terms of documents) {
+    for (const term of new Set(terms)) counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return term => Math.log(total / (counts.get(term) || 1));
+}
+
+function score(a: AnalyzedPost, b: AnalyzedPost, termIdf: (term: string) => number): number {
+  let total = cosine(a, b) * TEXT_WEIGHT;
+  for (const term of a.terms) {
+    if (b.terms.includes(term)) total += termIdf(term) * (term.startsWith('tag:') ? TAG_WEIGHT : CATEGORY_WEIGHT);
+  }
+  return total;
+}
+
+function getRelated(target: AnalyzedPost, analyzed: AnalyzedPost[], termIdf: (term: string) => number): WPPost[] {
+  return analyzed
+    .filter(other => other.post.id !== target.post.id)
+    .map(other => ({ post: other.post, score: score(target, other, termIdf) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.post.date.localeCompare(a.post.date))
+    .slice(0, RELATED_LIMIT)
+    .map(({ post }) => post);
+}
+
+function getToc(post: WPPost): ContentHeading[] {
+  const headings = getContentHeadings(post.content?.rendered || '').filter(heading => heading.level <= 3 && heading.text);
+  return headings.length >= TOC_MIN_HEADINGS ? headings : [];
+}
+
+function getReadingTime(words: string[]): number {
+  return Math.max(1, Math.round(words.length / WORDS_PER_MINUTE));
+}
+
+async function buildIndex(): Promise<InsightsIndex> {
+  const posts = await getAllPosts();
+  const partial = posts.map(analyze);
+  const total = Math.max(partial.length, 1);
+  const termIdf = getIdf(partial.map(item => item.terms), total);
+  const wordIdf = getIdf(partial.map(item => item.frequencies.keys()), total);
+  const analyzed: AnalyzedPost[] = partial.map(({ frequencies, ...item }) => ({ ...item, ...toVector(frequencies, wordIdf) }));
+
+  // Oldest first, for previous/next
+  const chronological = [...analyzed].sort((a, b) => a.post.date.localeCompare(b.post.date) || a.post.id - b.post.id);
+  const insights = new Map<number, PostInsights>();
+  chronological.forEach((item, i) => {
+    insights.set(item.post.id, {
+      related: getRelated(item, analyzed, termIdf),
+      previous: chronological[i - 1]?.post ?? null,
+      next: chronological[i + 1]?.post ?? null,
+      readingTime: getReadingTime(item.words),
+      wordCount: item.words.length,
+      toc: getToc(item.post),
+    });
+  });
+  return { analyzed, byId: new Map(analyzed.map(item => [item.post.id, item])), insights, termIdf, wordIdf };
+}
+
+const loadIndex = memoizeLoad(buildIndex);
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Related posts, neighbours, reading time and table of contents of a post
+ * Posts that aren't part of the build (draft previews) or have changed since
+ * are scored against the published posts on the spot.
+ */
+export async function getPostInsights(post: WPPost): Promise<PostInsights> {
+  const { analyzed, byId, insights, termIdf, wordIdf } = await loadIndex();
+  const built = byId.get(post.id);
+  if (built && built.post.modified_gmt === post.modified_gmt) return insights.get(post.id)!;
+
+  const { frequencies, ...item } = analyze(post);
+  const target: AnalyzedPost = { ...item, ...toVector(frequencies, wordIdf) };
+  const neighbours = built ? insights.get(post.id)! : null;
+  return {
+    related: getRelated(target, analyzed, termIdf),
+    previous: neighbours?.previous ?? null,
+    next: neighbours?.next ?? null,
+    readingTime: getReadingTime(target.words),
+    wordCount: target.words.length,
+    toc: getToc(post),
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Preview mode for drafts, scheduled, pending and private WordPress content
+ *
+ * When WP_PREVIEW_SECRET is set, astro.config.mjs adds the Node adapter and an
+ * on-demand route, /preview/<type>/<id or slug> (src/preview/PreviewRoute.astro),
+ * which renders the same components as blog/[slug], [slug] and project/[slug].
+ * Every other page stays prerendered.
+ *
+ * Preview URLs are signed: `?expires=<unix seconds>&token=<hex>`, where token is
+ * HMAC-SHA256(WP_PREVIEW_SECRET, "<type>:<id or slug>:<expires>"). WordPress
+ * can sign them in a `preview_post_link` filter (see README), or run
+ * `npm run preview:link -- post 123`.
+ *
+ * Content is fetched with the source's credentials, bypassing the response
+ * cache, and the newest revision or autosave replaces the live title, content
+ * and excerpt, so unsaved edits to published posts show up too.
+ */
+
+import crypto from 'node:crypto';
+import { wpRequest, type WPPost, type WPPage, type WPPostStatus } from './wordpress';
+
+export const PREVIEW_TYPES = {
+  post: { restBase: 'posts', label: 'Post' },
+  page: { restBase: 'pages', label: 'Page' },
+  project: { restBase: 'project', label: 'Project' },
+} as const;
+
+export type PreviewType = keyof typeof PREVIEW_TYPES;
+
+// Anything an editor can preview; 'publish' is included for pending revisions
+const PREVIEW_STATUSES: WPPostStatus[] = ['publish', 'draft', 'future', 'pending', 'private'];
+
+// Links stay valid for an hour unless asked otherwise
+export const DEFAULT_PREVIEW_TTL = 60 * 60;
+
+function readEnv(name: string): string | undefined {
+  const value = process.env[name] ?? (import.meta.env as Record<string, string | undefined>)[name];
+  return value ? String(value).trim() || undefined : undefined;
+}
+
+export function getPreviewSecret(): string | undefined {
+  return readEnv('WP_PREVIEW_SECRET');
+}
+
+export function isPreviewType(type: string | undefined): type is PreviewType {
+  return Boolean(type && Object.hasOwn(PREVIEW_TYPES, type));
+}
+
+// ============================================================================
+// Signed URLs
+// ============================================================================
+
+export function signPreview(type: string, id: string, expires: number, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(`${type}:${id}:${expires}`).digest('hex');
+}
+
+/**
+ * Path of a signed preview link, valid for `ttl` seconds
+ */
+export function createPreviewPath(type: PreviewType, id: string | number, ttl: number = DEFAULT_PREVIEW_TTL): string {
+  const secret = getPreviewSecret();
+  if (!secret) {
+    throw new Error('WP_PREVIEW_SECRET is not set; preview links cannot be signed');
+  }
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const token = signPreview(type, String(id), expires, secret);
+  return `/preview/${type}/${encodeURIComponent(String(id))}?expires=${expires}&token=${token}`;
+}
+
+export type PreviewCheck = { valid: true } | { valid: false; reason: string };
+
+/**
+ * Check the token and expiry of a preview request
+ */
+export function verifyPreviewRequest(type: string, id: string, url: URL): PreviewCheck {
+  const secret = getPreviewSecret();
+  if (!secret) return { valid: false, reason: 'Preview is not configured' };
+
+  const token = url.searchParams.get('token') || '';
+  const expires = Number(url.searchParams.get('expires'));
+  if (!token || !Number.isInteger(expires)) {
+    return { valid: false, reason: 'Missing preview token' };
+  }
+  if (expires < Date.now() / 1000) {
+    return { valid: false, reason: 'Preview link has expired' };
+  }
+
+  const expected = Buffer.from(signPreview(type, id, expires, secret), 'hex');
+  const actual = Buffer.from(token, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'Invalid preview token' };
+  }
+  return { valid: true };
+}
+
+// ============================================================================
+// Content
+// ============================================================================
+
+interface WPRevision {
+  id: number;
+  modified_gmt?: string;
+  title?: { rendered: string };
+  content?: { rendered: string };
+  excerpt?: { rendered: string };
+}
+
+// Revisions need edit rights and not every post type keeps them
+async function getLatestRevision(restBase: string, id: number, source?: string): Promise<WPRevision | null> {
+  const requests = [
+    wpRequest<WPRevision[]>(`${restBase}/${id}/autosaves`, {}, { source, fresh: true }),
+    wpRequest<WPRevision[]>(`${restBase}/${id}/revisions`, { per_page: 1, orderby: 'date', order: 'desc' }, { source, fresh: true }),
+  ];
+  const revisions = (await Promise.allSettled(requests)).flatMap(result =>
+    result.status === 'fulfilled' && Array.isArray(result.value.data) ? result.value.data : []
+  );
+  return revisions.reduce<WPRevision | null>(
+    (latest, revision) => (!latest || (revision.modified_gmt || '') > (latest.modified_gmt || '') ? revision : latest),
+    null
+  );
+}
+
+/**
+ * Fetch an item for preview by id or slug, with its newest revision applied
+ * Returns null when it doesn't exist or its status can't be previewed;
+ * throws WordPressAPIError on failure.
+ */
+export async function getPreviewItem(
+  type: PreviewType,
+  idOrSlug: string,
+  options: { source?: string } = {}
+): Promise<(WPPost | WPPage | any) | null> {
+  const { restBase } = PREVIEW_TYPES[type];
+  const request = { source: options.source, fresh: true };
+
+  let item: any;
+  if (/^\d+$/.test(idOrSlug)) {
+    ({ data: item } = await wpRequest<any>(`${restBase}/${idOrSlug}`, { _embed: true }, request));
+  } else {
+    const { data } = await wpRequest<any[]>(restBase, { slug: idOrSlug, _embed: true }, { ...request, status: PREVIEW_STATUSES });
+    item = data?.[0];
+  }
+  // Lookups by ID return trashed and auto-draft items too
+  if (!item?.id || (item.status && !PREVIEW_STATUSES.includes(item.status))) return null;
+
+  const revision = await getLatestRevision(restBase, item.id, options.source);
+  if (revision && (revision.modified_gmt || '') > (item.modified_gmt || '')) {
+    item = {
+      ...item,
+      title: revision.title ?? item.title,
+      content: revision.content ?? item.content,
+      excerpt: revision.excerpt ?? item.excerpt,
+      modified_gmt: revision.modified_gmt,
+    };
+  }
+  return item;
+}
+
+/**
+ * Banner text for an item's status
+ */
+export function getPreviewStatusLabel(item: { status?: string; date?: string }): string {
+  switch (item.status) {
+    case 'draft':
+      return 'Draft';
+    case 'future':
+      return item.date ? `Scheduled for ${new Date(item.date).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' })}` : 'Scheduled';
+    case 'pending':
+      return 'Pending review';
+    case 'private':
+      return 'Private';
+    default:
+      return 'Published';
+  }
+}
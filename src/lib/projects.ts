@@ -0,0 +1,164 @@
+/**
+ * Project showcase data
+ *
+ * One shape for every project, whether it comes from the WordPress `project`
+ * custom post type or from the `projects` content collection
+ * (src/content/projects/, e.g. written by scripts/import-content.mjs). Both
+ * are loaded once per build; a collection entry with the slug of a WordPress
+ * project is its imported copy and is skipped.
+ *
+ * Featured projects: an ACF `featured` true/false field or a `featured`
+ * category or tag in WordPress, `featured: true` in collection frontmatter.
+ *
+ * Usage:
+ * ---
+ * import { getProjects } from '../lib/projects';
+ * const projects = await getProjects({ featured: true, limit: 3 });
+ * ---
+ */
+
+import { getCollection } from 'astro:content';
+import { getAllCustomPostType, getLocalFeaturedImageUrl, stripHtml, truncate } from './wordpress';
+import { memoizeLoad } from './wordpress-cache';
+
+export interface ProjectTerm {
+  slug: string;
+  name: string;
+}
+
+export interface ShowcaseProject {
+  /** Unique across sources, e.g. wp-30 or collection-site-one */
+  key: string;
+  slug: string;
+  title: string;
+  /** Plain text */
+  description: string;
+  /** Project page (WordPress) or the `url` from frontmatter; undefined when there is neither */
+  url?: string;
+  image?: string;
+  client?: string;
+  /** ISO date */
+  date: string;
+  featured: boolean;
+  categories: ProjectTerm[];
+  tags: ProjectTerm[];
+  source: 'wordpress' | 'collection';
+}
+
+export interface ProjectQuery {
+  featured?: boolean;
+  /** Category slug */
+  category?: string;
+  /** Tag slug */
+  tag?: string;
+  limit?: number;
+  sort?: 'newest' | 'oldest' | 'title';
+}
+
+const DESCRIPTION_LENGTH = 160;
+
+function toSlug(name: string): string {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toTerms(names: string[] | undefined): ProjectTerm[] {
+  return (names || []).map(name => ({ slug: toSlug(name), name }));
+}
+
+const isFeaturedTerm = (term: ProjectTerm) => term.slug === 'featured';
+
+function fromWordPress(item: any): ShowcaseProject {
+  // Embedded terms come grouped by taxonomy: category, post_tag, project_category, project_tag, ...
+  const terms: any[] = (item._embedded?.['wp:term'] || []).flat();
+  const toTerm = (term: any): ProjectTerm => ({ slug: term.slug, name: stripHtml(term.name) });
+  const tags = terms.filter(term => /tag$/.test(term.taxonomy || '')).map(toTerm);
+  const categories = terms.filter(term => term.taxonomy && !/tag$/.test(term.taxonomy)).map(toTerm);
+  const description = stripHtml(item.excerpt?.rendered || '') || stripHtml(item.content?.rendered || '');
+
+  return {
+    key: `wp-${item.id}`,
+    slug: item.slug,
+    title: stripHtml(item.title?.rendered || item.slug),
+    description: truncate(description, DESCRIPTION_LENGTH),
+    url: `/project/${item.slug}`,
+    image: getLocalFeaturedImageUrl(item) ?? undefined,
+    client: item.acf?.client ? stripHtml(String(item.acf.client)) : undefined,
+    date: item.date || '',
+    featured: Boolean(item.acf?.featured) || [...categories, ...tags].some(isFeaturedTerm),
+    categories: categories.filter(term => !isFeaturedTerm(term)),
+    tags: tags.filter(term => !isFeaturedTerm(term)),
+    source: 'wordpress',
+  };
+}
+
+function fromCollection(entry: Awaited<ReturnType<typeof getCollection<'projects'>>>[number]): ShowcaseProject {
+  const { data } = entry;
+  const categories = toTerms(data.categories);
+  const tags = toTerms(data.tags);
+  return {
+    key: `collection-${entry.slug}`,
+    slug: entry.slug,
+    title: data.title,
+    description: truncate(data.description, DESCRIPTION_LENGTH),
+    url: data.url,
+    image: data.image,
+    client: data.client,
+    date: data.date,
+    featured: Boolean(data.featured) || [...categories, ...tags].some(isFeaturedTerm),
+    categories: categories.filter(term => !isFeaturedTerm(term)),
+    tags: tags.filter(term => !isFeaturedTerm(term)),
+    source: 'collection',
+  };
+}
+
+// getCollection() warns about an empty collection, so only ask when there are files
+const collectionFiles = import.meta.glob('../content/projects/**/*.{md,mdx}', { query: '?raw', import: 'default' });
+
+async function loadProjects(): Promise<ShowcaseProject[]> {
+  const [items, entries] = await Promise.all([
+    getAllCustomPostType('project'),
+    Object.keys(collectionFiles).length > 0 ? getCollection('projects') : [],
+  ]);
+  const projects = items.map(fromWordPress);
+  const slugs = new Set(projects.map(project => project.slug));
+  for (const entry of entries) {
+    if (!slugs.has(entry.slug)) projects.push(fromCollection(entry));
+  }
+  return projects;
+}
+
+const loadAllProjects = memoizeLoad(loadProjects);
+
+function compare(sort: NonNullable<ProjectQuery['sort']>) {
+  return (a: ShowcaseProject, b: ShowcaseProject): number => {
+    if (sort === 'title') return a.title.localeCompare(b.title);
+    const byDate = a.date.localeCompare(b.date);
+    return sort === 'oldest' ? byDate : -byDate;
+  };
+}
+
+/**
+ * Projects matching a query, newest first unless `sort` says otherwise
+ */
+export async function getProjects(query: ProjectQuery = {}): Promise<ShowcaseProject[]> {
+  const { featured, category, tag, limit, sort = 'newest' } = query;
+
+  const matches = (await loadAllProjects()).filter(project =>
+    (featured === undefined || project.featured === featured) &&
+    (!category || project.categories.some(term => term.slug === category)) &&
+    (!tag || project.tags.some(term => term.slug === tag))
+  );
+  matches.sort(compare(sort));
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Tags used by any of the given projects, by name
+ */
+export function getProjectTags(projects: ShowcaseProject[]): ProjectTerm[] {
+  const tags = new Map<string, ProjectTerm>();
+  for (const project of projects) {
+    for (const tag of project.tags) tags.set(tag.slug, tag);
+  }
+  return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,75 @@
+/**
+ * Build-time search index of posts, pages and projects
+ *
+ * Served as a static file by src/pages/search-index.json.ts and queried in
+ * the browser by ./search.ts, so search needs no external service and keeps
+ * working offline once the PWA has cached the index.
+ */
+
+import {
+  getAllPosts,
+  getAllPages,
+  getAllCustomPostType,
+  getCategories,
+  getTags,
+  stripHtml,
+  truncate,
+} from './wordpress';
+import { SEARCH_INDEX_VERSION, type SearchDocument, type SearchIndex } from './search';
+
+// Bodies are cut to keep the index small; matches deep in long posts are rare
+const MAX_BODY_LENGTH = 5000;
+const MAX_EXCERPT_LENGTH = 200;
+
+// Keep words from adjacent blocks apart once the tags are stripped
+function toPlainText(html: string): string {
+  return stripHtml(html.replace(/<br\s*\/?>|<\/(?:p|div|li|h[1-6]|blockquote|figcaption|td|th)>/gi, '$& '));
+}
+
+function toDocument(type: SearchDocument['type'], url: string, item: any): SearchDocument {
+  const body = toPlainText(item.content?.rendered || '');
+  return {
+    type,
+    url,
+    title: stripHtml(item.title?.rendered || ''),
+    excerpt: truncate(stripHtml(item.excerpt?.rendered || '') || body, MAX_EXCERPT_LENGTH),
+    body: body.length > MAX_BODY_LENGTH ? body.slice(0, MAX_BODY_LENGTH) : body,
+    date: item.date,
+    categories: item.categories?.length ? item.categories : undefined,
+    tags: item.tags?.length ? item.tags : undefined,
+  };
+}
+
+export async function buildSearchIndex(): Promise<SearchIndex> {
+  const [posts, pages, projects, categories, tags] = await Promise.all([
+    getAllPosts(),
+    getAllPages(),
+    getAllCustomPostType('project'),
+    getCategories(),
+    getTags(),
+  ]);
+
+  const documents = [
+    ...posts.map(post => toDocument('post', `/blog/${post.slug}`, post)),
+    // Mirrors the routes in src/pages/[slug].astro
+    ...pages.filter(page => page.slug !== 'home').map(page => toDocument('page', `/${page.slug}`, page)),
+    ...projects.map(project => toDocument('project', `/project/${project.slug}`, project)),
+  ];
+
+  // Only offer filters that narrow the result list to something
+  const used = (ids: Array<number[] | undefined>) => new Set(ids.flatMap(list => list || []));
+  const usedCategories = used(documents.map(document => document.categories));
+  const usedTags = used(documents.map(document => document.tags));
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    generated: new Date().toISOString(),
+    categories: categories
+      .filter(category => usedCategories.has(category.id))
+      .map(({ id, name, slug }) => ({ id, name, slug })),
+    tags: tags
+      .filter(tag => usedTags.has(tag.id))
+      .map(({ id, name, slug }) => ({ id, name, slug })),
+    documents,
+  };
+}
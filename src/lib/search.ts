@@ -0,0 +1,189 @@
+/**
+ * Client-side search over the static index emitted at /search-index.json
+ *
+ * This module runs in the browser (see src/pages/search.astro), so it must
+ * not import anything server-only. The index itself is built by
+ * ./search-index.ts.
+ */
+
+export type SearchDocumentType = 'post' | 'page' | 'project';
+
+export interface SearchDocument {
+  type: SearchDocumentType;
+  url: string;
+  title: string;
+  excerpt: string;
+  body: string;
+  date?: string;
+  categories?: number[];
+  tags?: number[];
+}
+
+export interface SearchTerm {
+  id: number;
+  name: string;
+  slug: string;
+}
+
+export interface SearchIndex {
+  version: number;
+  generated: string;
+  categories: SearchTerm[];
+  tags: SearchTerm[];
+  documents: SearchDocument[];
+}
+
+export interface SearchFilters {
+  type?: SearchDocumentType;
+  category?: number;
+  tag?: number;
+}
+
+export interface SearchResult {
+  document: SearchDocument;
+  score: number;
+  /** Normalized query terms, for highlighting */
+  terms: string[];
+}
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Field weights: a title hit outranks many body hits
+const WEIGHTS = { title: 10, excerpt: 4, body: 1 };
+const MAX_BODY_HITS = 5;
+
+/**
+ * Lowercase and strip diacritics so "Café" matches "cafe"
+ */
+export function normalize(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+export function tokenize(query: string): string[] {
+  return Array.from(new Set(normalize(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean)));
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countHits(text: string, term: string, limit: number): { hits: number; atWordStart: boolean } {
+  let hits = 0;
+  let atWordStart = false;
+  let index = text.indexOf(term);
+  while (index !== -1 && hits < limit) {
+    hits++;
+    if (index === 0 || /[^\p{L}\p{N}]/u.test(text[index - 1])) atWordStart = true;
+    index = text.indexOf(term, index + term.length);
+  }
+  return { hits, atWordStart };
+}
+
+function matchesFilters(document: SearchDocument, filters: SearchFilters): boolean {
+  if (filters.type && document.type !== filters.type) return false;
+  if (filters.category && !document.categories?.includes(filters.category)) return false;
+  if (filters.tag && !document.tags?.includes(filters.tag)) return false;
+  return true;
+}
+
+/**
+ * Rank documents against a query
+ * Every term must appear in the title, excerpt or body; hits at the start of
+ * a word score double. Ties are broken by date, newest first.
+ */
+export function search(index: SearchIndex, query: string, filters: SearchFilters = {}): SearchResult[] {
+  const terms = tokenize(query);
+  const candidates = index.documents.filter(document => matchesFilters(document, filters));
+
+  // With filters but no query, list everything that matches the filters
+  if (terms.length === 0) {
+    if (!filters.category && !filters.tag && !filters.type) return [];
+    return candidates
+      .map(document => ({ document, score: 0, terms }))
+      .sort((a, b) => (b.document.date || '').localeCompare(a.document.date || ''));
+  }
+
+  const results: SearchResult[] = [];
+  for (const document of candidates) {
+    const fields = {
+      title: normalize(document.title),
+      excerpt: normalize(document.excerpt),
+      body: normalize(document.body),
+    };
+
+    let score = 0;
+    let matchedAll = true;
+    for (const term of terms) {
+      let termScore = 0;
+      for (const field of ['title', 'excerpt', 'body'] as const) {
+        const { hits, atWordStart } = countHits(fields[field], term, field === 'body' ? MAX_BODY_HITS : 1);
+        termScore += hits * WEIGHTS[field] * (atWordStart ? 2 : 1);
+      }
+      if (termScore === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+    }
+
+    if (matchedAll) results.push({ document, score, terms });
+  }
+
+  return results.sort((a, b) =>
+    b.score - a.score || (b.document.date || '').localeCompare(a.document.date || '')
+  );
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text and wrap every occurrence of the terms in <mark>
+ * Matching is accent- and case-insensitive; normalize() keeps string length
+ * for the Latin scripts WordPress content is typically written in.
+ */
+export function highlight(text: string, terms: string[]): string {
+  if (terms.length === 0) return escapeHtml(text);
+
+  const normalized = normalize(text);
+  if (normalized.length !== text.length) {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text
+      .split(pattern)
+      .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'g');
+  let html = '';
+  let last = 0;
+  for (const match of normalized.matchAll(pattern)) {
+    const start = match.index ?? 0;
+    const end = start + match[0].length;
+    html += escapeHtml(text.slice(last, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * A window of text around the first term found, for result previews
+ */
+export function getSnippet(document: SearchDocument, terms: string[], length: number = 200): string {
+  const text = document.body || document.excerpt;
+  const normalized = normalize(text);
+  const positions = terms.map(term => normalized.indexOf(term)).filter(position => position !== -1);
+
+  if (positions.length === 0) {
+    return document.excerpt || (text.length > length ? text.slice(0, length).trim() + '...' : text);
+  }
+
+  const start = Math.max(0, Math.min(...positions) - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  return (start > 0 ? '...' : '') + text.slice(start, end).trim() + (end < text.length ? '...' : '');
+}
@@ -0,0 +1,215 @@
+/**
+ * Page metadata and JSON-LD structured data
+ *
+ * BaseLayout.astro calls getPageMeta() for the WordPress item it renders
+ * (`entry` prop), so titles, descriptions, images and robots directives from
+ * Yoast, Rank Math or AIOSEO reach the page without per-route wiring.
+ *
+ * Canonical and Open Graph URLs are made absolute with SITE_URL (Astro's
+ * `site`). Without it they stay root-relative.
+ *
+ * Usage:
+ * ---
+ * import { getArticleSchema } from '../lib/seo';
+ * ---
+ * <BaseLayout title={post.title.rendered} entry={post} jsonLd={getArticleSchema(post, Astro.url.pathname)}>
+ */
+
+import {
+  extractSEOData,
+  getSEOTitle,
+  getSEODescription,
+  getSEOImage,
+  getLocalImageUrl,
+  getAuthor,
+  getPostCategories,
+  getSources,
+  stripHtml,
+  type WPPost,
+  type WPPage,
+  type WPUser,
+} from './wordpress';
+import type { BreadcrumbItem } from './navigation';
+
+export type JsonLd = Record<string, unknown>;
+
+export interface PageMeta {
+  title: string;
+  description?: string;
+  image?: string;
+  canonicalUrl?: string;
+  robots?: string[];
+  openGraph?: { title?: string; description?: string; image?: string; type?: string };
+  twitter?: { title?: string; description?: string; image?: string; card?: string };
+}
+
+// ============================================================================
+// URLs
+// ============================================================================
+
+/**
+ * The production origin, from SITE_URL (exposed as Astro's `site`)
+ */
+export function getSiteUrl(): URL | undefined {
+  const site = import.meta.env.SITE;
+  return site ? new URL(site) : undefined;
+}
+
+/**
+ * Resolve a path or URL against SITE_URL; left as-is when SITE_URL is unset
+ */
+export function toAbsoluteUrl(pathOrUrl: string): string;
+export function toAbsoluteUrl(pathOrUrl: string | null | undefined): string | undefined;
+export function toAbsoluteUrl(pathOrUrl: string | null | undefined): string | undefined {
+  if (!pathOrUrl) return undefined;
+  const site = getSiteUrl();
+  if (!site) return pathOrUrl;
+  try {
+    return new URL(pathOrUrl, site).href;
+  } catch {
+    return pathOrUrl;
+  }
+}
+
+// WordPress hosts, whose URLs must never leak into canonicals after the migration
+function isWordPressUrl(url: string): boolean {
+  try {
+    const { hostname } = new URL(url);
+    return Object.values(getSources()).some(source => new URL(source.apiUrl).hostname === hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical URL of the current page
+ * An SEO plugin canonical is kept only when it deliberately points at another
+ * site; canonicals on the WordPress origin are replaced by this page's URL.
+ */
+export function getCanonicalUrl(pathname: string, seoCanonical?: string): string {
+  if (seoCanonical && /^https?:\/\//.test(seoCanonical) && !isWordPressUrl(seoCanonical)) {
+    return seoCanonical;
+  }
+  return toAbsoluteUrl(pathname);
+}
+
+// ============================================================================
+// Page metadata
+// ============================================================================
+
+/**
+ * Metadata for a WordPress post, page or CPT item, from its SEO plugin with
+ * fallbacks to the item's own title, excerpt and featured image
+ */
+export function getPageMeta(entry: WPPost | WPPage | any): Partial<PageMeta> {
+  const seo = extractSEOData(entry);
+  const image = getLocalImageUrl(getSEOImage(entry)) ?? undefined;
+
+  const robots: string[] = [];
+  if (seo.robots) {
+    robots.push(seo.robots.index === false ? 'noindex' : 'index');
+    robots.push(seo.robots.follow === false ? 'nofollow' : 'follow');
+  }
+
+  // SEO plugins return titles with HTML entities (&amp;, &#8211;)
+  const toText = (value?: string) => (value ? stripHtml(value) || undefined : undefined);
+
+  return {
+    title: stripHtml(getSEOTitle(entry)),
+    description: toText(getSEODescription(entry)),
+    image,
+    canonicalUrl: seo.canonicalUrl,
+    robots: robots.length > 0 ? robots : undefined,
+    openGraph: {
+      title: toText(seo.ogTitle),
+      description: toText(seo.ogDescription),
+      image: seo.ogImage ? getLocalImageUrl(seo.ogImage) ?? undefined : undefined,
+      type: seo.ogType || ('categories' in entry ? 'article' : undefined),
+    },
+    twitter: {
+      title: toText(seo.twitterTitle),
+      description: toText(seo.twitterDescription),
+      image: seo.twitterImage ? getLocalImageUrl(seo.twitterImage) ?? undefined : undefined,
+      card: seo.twitterCard,
+    },
+  };
+}
+
+// ============================================================================
+// JSON-LD
+// ============================================================================
+
+export function getSiteName(): string {
+  return process.env.SITE_NAME || getSiteUrl()?.hostname || 'Website';
+}
+
+export function getWebSiteSchema(): JsonLd {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    name: getSiteName(),
+    url: toAbsoluteUrl('/'),
+    potentialAction: {
+      '@type': 'SearchAction',
+      target: `${toAbsoluteUrl('/search')}?q={search_term_string}`,
+      'query-input': 'required name=search_term_string',
+    },
+  };
+}
+
+export function getPersonSchema(user: WPUser): JsonLd {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: user.name,
+    url: toAbsoluteUrl(`/author/${user.slug}`),
+    description: user.description || undefined,
+    image: user.avatar_urls?.['96'],
+  };
+}
+
+/**
+ * Article schema for a post, or another schema.org type (e.g. CreativeWork)
+ * for any item with a title, dates and content
+ */
+export function getArticleSchema(post: WPPost | any, pathname: string, type: string = 'Article'): JsonLd {
+  const author = getAuthor(post);
+  const image = getLocalImageUrl(getSEOImage(post));
+  const categories = post.categories ? getPostCategories(post) : [];
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': type,
+    headline: stripHtml(post.title?.rendered || ''),
+    description: getSEODescription(post) || undefined,
+    url: toAbsoluteUrl(pathname),
+    mainEntityOfPage: toAbsoluteUrl(pathname),
+    datePublished: post.date_gmt ? `${post.date_gmt}Z` : post.date,
+    dateModified: post.modified_gmt ? `${post.modified_gmt}Z` : post.modified || post.date,
+    image: image ? toAbsoluteUrl(image) : undefined,
+    author: author ? { ...getPersonSchema(author), '@context': undefined } : undefined,
+    articleSection: categories.length > 0 ? categories.map(category => category.name) : undefined,
+    publisher: { '@type': 'Organization', name: getSiteName(), url: toAbsoluteUrl('/') },
+  };
+}
+
+export function getBreadcrumbSchema(breadcrumbs: BreadcrumbItem[]): JsonLd {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: breadcrumbs.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.label,
+      item: toAbsoluteUrl(crumb.href),
+    })),
+  };
+}
+
+/**
+ * Serialize JSON-LD for a <script type="application/ld+json"> tag
+ * `<` is escaped so content can never close the script element.
+ */
+export function serializeJsonLd(data: JsonLd | JsonLd[]): string {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,251 @@
+/**
+ * Site tree: every page of the site in one hierarchy
+ *
+ * Merges file-based pages (src/pages), WordPress pages (nested by their
+ * `parent` field), posts under /blog and projects under /project. Breadcrumbs,
+ * sub-navigation and the HTML sitemap (src/pages/sitemap.astro) are all read
+ * from it, so they agree with each other and show real titles.
+ *
+ * Usage:
+ * ---
+ * import { getBreadcrumbTrail, getSubNavigation, getSiteTree } from '../lib/site-tree';
+ * const breadcrumbs = await getBreadcrumbTrail(Astro.url.pathname);
+ * ---
+ *
+ * URLs mirror the routes: WordPress pages stay at /<slug> whatever their
+ * parent, so the hierarchy (not the URL) says where /team belongs.
+ */
+
+import { getAllPages, getAllPosts, getAllCustomPostType, stripHtml, type WPPage } from './wordpress';
+import { getAllNavigationPages, getBreadcrumbs, type BreadcrumbItem } from './navigation';
+import { memoizeLoad } from './wordpress-cache';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface SiteNode {
+  url: string;
+  title: string;
+  type: 'home' | 'page' | 'wp_page' | 'archive' | 'post' | 'project';
+  /** WordPress ID, for WordPress content */
+  id?: number;
+  /** ISO date of the last change, for WordPress content */
+  modified?: string;
+  /** Sort key among siblings (lower first), then title */
+  order: number;
+  parent?: SiteNode;
+  children: SiteNode[];
+}
+
+// Collections with an archive page and one page per item
+const SECTIONS = [
+  {
+    url: '/blog',
+    title: 'Blog',
+    type: 'post' as const,
+    load: () => getAllPosts(),
+    path: (item: any) => `/blog/${item.slug}`,
+  },
+  {
+    url: '/project',
+    title: 'Projects',
+    type: 'project' as const,
+    load: () => getAllCustomPostType('project'),
+    path: (item: any) => `/project/${item.slug}`,
+  },
+];
+
+// Archives come after pages at the top level
+const ARCHIVE_ORDER = 1000;
+
+// ============================================================================
+// Building the tree
+// ============================================================================
+
+function normalizePath(path: string): string {
+  const pathname = path.split(/[?#]/)[0] || '/';
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+function sortTree(node: SiteNode): void {
+  node.children.sort((a, b) => a.order - b.order || a.title.localeCompare(b.title));
+  node.children.forEach(sortTree);
+}
+
+// Nearest node above a URL, by path segments
+function findUrlParent(url: string, index: Map<string, SiteNode>): SiteNode {
+  const segments = url.split('/').filter(Boolean);
+  for (let depth = segments.length - 1; depth > 0; depth--) {
+    const node = index.get('/' + segments.slice(0, depth).join('/'));
+    if (node) return node;
+  }
+  return index.get('/')!;
+}
+
+async function buildSiteTree(): Promise<{ root: SiteNode; index: Map<string, SiteNode> }> {
+  const [filePages, wpPages, ...sectionItems] = await Promise.all([
+    getAllNavigationPages(),
+    getAllPages(),
+    ...SECTIONS.map(section => section.load()),
+  ]);
+
+  const root: SiteNode = { url: '/', title: 'Home', type: 'home', order: 0, children: [] };
+  const index = new Map<string, SiteNode>([['/', root]]);
+  // Parent is decided once every node exists
+  const parents = new Map<SiteNode, SiteNode | undefined>();
+
+  const add = (node: Omit<SiteNode, 'children'>, parent?: SiteNode): SiteNode => {
+    const existing = index.get(node.url);
+    if (existing) return existing;
+    const created: SiteNode = { ...node, children: [] };
+    index.set(created.url, created);
+    parents.set(created, parent);
+    return created;
+  };
+
+  // File routes win over [slug] routes in Astro, so they're added first
+  for (const page of filePages) {
+    if (page.url === '/') continue;
+    add({ url: normalizePath(page.url), title: page.title, type: 'page', order: 0 });
+  }
+
+  // WordPress pages, nested by `parent` once all of them are known
+  const pageNodes = new Map<number, SiteNode>();
+  for (const page of wpPages as WPPage[]) {
+    const title = stripHtml(page.title.rendered);
+    if (page.slug === 'home') {
+      root.id = page.id;
+      root.modified = page.modified_gmt;
+      pageNodes.set(page.id, root);
+      continue;
+    }
+    const node = add({ url: `/${page.slug}`, title, type: 'wp_page', id: page.id, modified: page.modified_gmt, order: page.menu_order ?? 0 });
+    pageNodes.set(page.id, node);
+  }
+  for (const page of wpPages as WPPage[]) {
+    const node = pageNodes.get(page.id);
+    const parent = page.parent ? pageNodes.get(page.parent) : undefined;
+    if (node && parent && node !== parent && node.type === 'wp_page') parents.set(node, parent);
+  }
+
+  // Collection archives and their items, newest first
+  SECTIONS.forEach((section, i) => {
+    // src/pages/project/index.astro is a file page; it still becomes the archive
+    const archive = add({ url: section.url, title: section.title, type: 'archive', order: ARCHIVE_ORDER + i });
+    Object.assign(archive, { title: section.title, type: 'archive', order: ARCHIVE_ORDER + i });
+    for (const item of sectionItems[i] as any[]) {
+      add({
+        url: section.path(item),
+        title: stripHtml(item.title?.rendered || item.slug),
+        type: section.type,
+        id: item.id,
+        modified: item.modified_gmt,
+        order: -new Date(item.date).getTime() || 0,
+      }, archive);
+    }
+  });
+
+  for (const [node, parent] of parents) {
+    let resolved = parent ?? findUrlParent(node.url, index);
+    // A WordPress parent loop would detach the pages from the tree
+    for (let ancestor: SiteNode | undefined = resolved; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === node) {
+        resolved = findUrlParent(node.url, index);
+        break;
+      }
+    }
+    node.parent = resolved;
+    resolved.children.push(node);
+  }
+  sortTree(root);
+  return { root, index };
+}
+
+const loadSiteTree = memoizeLoad(buildSiteTree);
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Get the whole tree, rooted at the home page
+ */
+export async function getSiteTree(): Promise<SiteNode> {
+  return (await loadSiteTree()).root;
+}
+
+/**
+ * Find the node for a URL path
+ */
+export async function findSiteNode(path: string): Promise<SiteNode | null> {
+  return (await loadSiteTree()).index.get(normalizePath(path)) ?? null;
+}
+
+/**
+ * Nodes from the home page down to `node`
+ */
+export function getAncestry(node: SiteNode): SiteNode[] {
+  const trail: SiteNode[] = [];
+  for (let current: SiteNode | undefined = node; current; current = current.parent) {
+    trail.unshift(current);
+  }
+  return trail;
+}
+
+/**
+ * Breadcrumbs with real titles and the WordPress page hierarchy
+ * Paths that aren't in the tree (pagination, taxonomy archives, drafts) use
+ * the trail of their nearest known ancestor, then title-cased URL segments.
+ *
+ * Usage:
+ * ```astro
+ * ---
+ * import { getBreadcrumbTrail } from '../lib/site-tree';
+ * const breadcrumbs = await getBreadcrumbTrail(Astro.url.pathname);
+ * ---
+ * ```
+ */
+export async function getBreadcrumbTrail(pathname: string, homeLabel: string = 'Home'): Promise<BreadcrumbItem[]> {
+  const { index } = await loadSiteTree();
+  const path = normalizePath(pathname);
+  const segments = path.split('/').filter(Boolean);
+  const fallback = getBreadcrumbs(path, homeLabel);
+
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const node = index.get('/' + segments.slice(0, depth).join('/'));
+    if (!node) continue;
+    const crumbs: BreadcrumbItem[] = getAncestry(node).map(ancestor => ({
+      label: ancestor === index.get('/') ? homeLabel : ancestor.title,
+      href: ancestor.url,
+      current: false,
+    }));
+    // getBreadcrumbs has the home crumb plus one per segment
+    crumbs.push(...fallback.slice(depth + 1));
+    crumbs.forEach((crumb, i) => (crumb.current = i === crumbs.length - 1));
+    return crumbs;
+  }
+  return fallback;
+}
+
+export interface SubNavigation {
+  /** Top-level page the current page belongs to */
+  section: SiteNode;
+  current: SiteNode;
+}
+
+/**
+ * The page section around a page: its top-level ancestor, whose children
+ * (and their children) make up the sub-navigation
+ * Returns null for pages without a section to show, and for posts and
+ * projects, whose archives are listings rather than navigation.
+ */
+export async function getSubNavigation(path: string): Promise<SubNavigation | null> {
+  const current = await findSiteNode(path);
+  if (!current || current.type === 'home' || current.type === 'post' || current.type === 'project') {
+    return null;
+  }
+  const section = getAncestry(current)[1];
+  if (!section || section.type === 'archive' || section.children.length === 0) return null;
+  return { section, current };
+}
@@ -0,0 +1,75 @@
+/**
+ * Per-page data for the XML sitemap
+ *
+ * @astrojs/sitemap (registered in astro.config.mjs) lists every built page,
+ * split into an index of pages, posts, projects and taxonomies sitemaps:
+ *
+ *   /sitemap-index.xml -> /sitemap-pages-0.xml, /sitemap-posts-0.xml, ...
+ *
+ * It only knows URLs, so BaseLayout.astro records what it needs as each page
+ * renders: `lastmod` from the WordPress `modified` date, image entries from the
+ * featured image and the images in the content, and whether the SEO plugin
+ * marked the page noindex. Noindex pages, and pages that aren't rendered with
+ * BaseLayout (legacy permalink redirects), are left out of the sitemap.
+ *
+ * Requires SITE_URL; without it no sitemap (and no Sitemap line in
+ * robots.txt, see src/pages/robots.txt.ts) is generated.
+ */
+
+import { getLocalFeaturedImageUrl, rewriteContentUrls } from './wordpress';
+import { toAbsoluteUrl } from './seo';
+
+export interface SitemapEntry {
+  /** ISO date of the last change, for WordPress content */
+  lastmod?: string;
+  /** Absolute image URLs */
+  images: string[];
+  noindex: boolean;
+}
+
+// Shared with the sitemap serialize() in astro.config.mjs, which runs in the same process
+const SITEMAP_KEY = Symbol.for('wordpress.sitemap');
+
+const IMG_SRC = /<img\b[^>]*?\ssrc="([^"]+)"/gi;
+
+function getRegistry(): Map<string, SitemapEntry> {
+  const store = globalThis as Record<symbol, Map<string, SitemapEntry> | undefined>;
+  return (store[SITEMAP_KEY] ??= new Map());
+}
+
+/**
+ * Sitemap key of a URL path: no query, no trailing slash
+ */
+export function getSitemapPath(pathname: string): string {
+  const path = pathname.split(/[?#]/)[0] || '/';
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * Featured image and content images of a WordPress item, as absolute URLs
+ * Uploads with a local copy are listed at their local path.
+ */
+export function getEntryImages(entry: any): string[] {
+  const images = new Set<string>();
+  const featured = entry._embedded ? getLocalFeaturedImageUrl(entry) : null;
+  if (featured) images.add(toAbsoluteUrl(featured));
+
+  const content = entry.content?.rendered;
+  if (content) {
+    for (const [, src] of rewriteContentUrls(content).matchAll(IMG_SRC)) {
+      if (!src.startsWith('data:')) images.add(toAbsoluteUrl(src.replace(/&amp;/g, '&')));
+    }
+  }
+  return [...images];
+}
+
+/**
+ * Record the sitemap data of a page while it is being prerendered
+ */
+export function recordSitemapEntry(pathname: string, entry?: any, robots?: string[]): void {
+  getRegistry().set(getSitemapPath(pathname), {
+    lastmod: entry?.modified_gmt ? `${entry.modified_gmt}Z` : entry?.modified,
+    images: entry ? getEntryImages(entry) : [],
+    noindex: robots?.includes('noindex') ?? false,
+  });
+}
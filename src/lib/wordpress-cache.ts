@@ -0,0 +1,141 @@
+/**
+ * On-disk cache for WordPress REST responses
+ *
+ * Used by wpRequest() in ./wordpress.ts. Each response is stored as one JSON
+ * file named after a hash of its cache key (source + URL), so a cache directory
+ * doubles as a snapshot that a later build can use without network access.
+ *
+ * Configuration (environment):
+ *   WP_CACHE      "on" or "off" (default: on for builds, off for `astro dev`)
+ *   WP_CACHE_DIR  Cache directory (default: .wp-cache)
+ *   WP_CACHE_TTL  Seconds an entry from an earlier run is used without
+ *                 revalidation (default: 0)
+ *   WP_OFFLINE    "true" to build entirely from the cache, with no requests
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export type CacheMode = 'off' | 'on' | 'offline';
+
+export interface CacheEntry<T = unknown> {
+  key: string;
+  url: string;
+  storedAt: number;
+  etag?: string;
+  lastModified?: string;
+  /** id:modified_gmt pairs of the cached items, used for cheap revalidation */
+  fingerprint?: string;
+  response: T;
+}
+
+function readEnv(name: string): string | undefined {
+  const value = process.env[name] ?? (import.meta.env as Record<string, string | undefined>)[name];
+  return value ? String(value).trim() || undefined : undefined;
+}
+
+const isTruthy = (value?: string) => /^(1|true|yes|on)$/i.test(value || '');
+
+/**
+ * Resolve the cache mode from the environment
+ */
+export function getCacheMode(): CacheMode {
+  if (isTruthy(readEnv('WP_OFFLINE'))) return 'offline';
+  const setting = readEnv('WP_CACHE');
+  if (setting) return isTruthy(setting) ? 'on' : 'off';
+  return import.meta.env.DEV ? 'off' : 'on';
+}
+
+/**
+ * Seconds a cached entry is trusted before it is revalidated
+ */
+export function getCacheTtl(): number {
+  const ttl = Number(readEnv('WP_CACHE_TTL'));
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+}
+
+export function getCacheDir(): string {
+  return path.resolve(process.cwd(), readEnv('WP_CACHE_DIR') || '.wp-cache');
+}
+
+function getCacheFile(key: string): string {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(getCacheDir(), hash.slice(0, 2), `${hash}.json`);
+}
+
+export async function readCacheEntry<T>(key: string): Promise<CacheEntry<T> | null> {
+  try {
+    const entry = JSON.parse(await fs.readFile(getCacheFile(key), 'utf8')) as CacheEntry<T>;
+    return entry.key === key ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write an entry atomically (temp file + rename) so an interrupted build
+ * never leaves a truncated snapshot behind
+ */
+export async function writeCacheEntry<T>(entry: CacheEntry<T>): Promise<void> {
+  const file = getCacheFile(entry.key);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(entry), 'utf8');
+    await fs.rename(tmp, file);
+  } catch (error) {
+    console.warn(`WordPress cache write failed for ${entry.url}:`, error instanceof Error ? error.message : error);
+    await fs.rm(tmp, { force: true }).catch(() => {});
+  }
+}
+
+// In a build or sync (flagged by astro.config.mjs), entries written or
+// revalidated by this process stay current for the rest of it, so WordPress is
+// asked about each URL once. Long-running servers go by WP_CACHE_TTL.
+const processStartedAt = Date.now();
+const CACHE_FOR_PROCESS_KEY = Symbol.for('wordpress.cacheForProcess');
+
+function isCachedForProcess(): boolean {
+  return (globalThis as Record<symbol, unknown>)[CACHE_FOR_PROCESS_KEY] === true;
+}
+
+export function isFresh(entry: CacheEntry): boolean {
+  if (isCachedForProcess() && entry.storedAt >= processStartedAt) return true;
+  const ttl = getCacheTtl();
+  return ttl > 0 && Date.now() - entry.storedAt < ttl * 1000;
+}
+
+/**
+ * Memoize data built from WordPress responses (site tree, post index, ...) as
+ * long as those responses stay fresh: for the whole of a build or sync, for
+ * WP_CACHE_TTL seconds in a long-running server
+ */
+export function memoizeLoad<T>(load: () => Promise<T>): () => Promise<T> {
+  let value: Promise<T> | undefined;
+  let loadedAt = 0;
+  return () => {
+    const ttl = getCacheTtl();
+    if (!value || !(isCachedForProcess() || (ttl > 0 && Date.now() - loadedAt < ttl * 1000))) {
+      value = load();
+      loadedAt = Date.now();
+    }
+    return value;
+  };
+}
+
+/**
+ * Fingerprint a REST payload by the id and modified_gmt of its items
+ * Returns undefined when the payload carries no modification dates (e.g. terms).
+ */
+export function getFingerprint(data: unknown): string | undefined {
+  const items = Array.isArray(data) ? data : data ? [data] : [];
+  if (items.length === 0) return Array.isArray(data) ? '' : undefined;
+
+  const pairs: string[] = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object' || !('modified_gmt' in item)) return undefined;
+    pairs.push(`${(item as any).id}:${(item as any).modified_gmt}`);
+  }
+  return pairs.join(',');
+}
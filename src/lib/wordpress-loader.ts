@@ -0,0 +1,283 @@
+/**
+ * Astro content-layer loader backed by the WordPress REST API
+ *
+ * Turns any REST collection - posts, pages, taxonomies, users or a custom
+ * post type by its rest_base - into an `astro:content` collection, so pages
+ * can use getCollection()/getEntry()/render() instead of calling the fetch
+ * helpers in ./wordpress.ts directly.
+ *
+ * Usage (src/content/config.ts):
+ *   const posts = defineCollection({
+ *     loader: wordpressLoader({ restBase: 'posts' }),
+ *     schema: wpPostSchema,
+ *   });
+ *
+ *   const events = defineCollection({
+ *     loader: wordpressLoader({ restBase: 'event', source: 'staging' }),
+ *     schema: wpContentSchema,
+ *   });
+ *
+ * Entries are keyed by slug. Post-like entries carry their rewritten HTML as
+ * rendered content, so `const { Content } = await render(entry)` works.
+ *
+ * Sync is incremental for post-like collections: each run lists only
+ * id/slug/modified_gmt, then fetches the items that changed since the last
+ * run and drops the ones that disappeared. Terms and users are small and
+ * refetched in full; unchanged entries are skipped by digest. A new
+ * media-map.json (after sync-media downloaded more uploads) refetches
+ * everything, so no entry keeps remote upload URLs.
+ */
+
+import { z } from 'zod';
+import type { Loader, LoaderContext } from 'astro/loaders';
+import {
+  wpRequestAll,
+  isStrictMode,
+  rewriteContentUrls,
+  type WPRequestOptions,
+  type WPPost,
+  type WPPage,
+  type WPCategory,
+  type WPTag,
+  type WPUser,
+} from './wordpress';
+import { getMediaMapVersion } from './media-map';
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+const renderedField = z.object({ rendered: z.string() }).passthrough();
+
+const contentFields = {
+  id: z.number(),
+  date: z.string(),
+  modified_gmt: z.string().optional(),
+  slug: z.string(),
+  status: z.string().optional(),
+  link: z.string().optional(),
+  title: renderedField,
+  content: renderedField,
+  excerpt: renderedField,
+  author: z.number(),
+  featured_media: z.number(),
+};
+
+const termFields = {
+  id: z.number(),
+  name: z.string(),
+  slug: z.string(),
+  count: z.number(),
+  description: z.string(),
+};
+
+// Unknown REST fields (_embedded, acf, SEO plugins...) are kept as-is
+export const wpPostSchema = z.object({
+  ...contentFields,
+  categories: z.array(z.number()),
+  tags: z.array(z.number()),
+}).passthrough() as unknown as z.ZodType<WPPost>;
+
+export const wpPageSchema = z.object({
+  ...contentFields,
+  parent: z.number(),
+}).passthrough() as unknown as z.ZodType<WPPage>;
+
+export const wpCategorySchema = z.object(termFields).passthrough() as unknown as z.ZodType<WPCategory>;
+
+export const wpTagSchema = z.object(termFields).passthrough() as unknown as z.ZodType<WPTag>;
+
+export const wpUserSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  slug: z.string(),
+  description: z.string(),
+  avatar_urls: z.record(z.string()),
+}).passthrough() as unknown as z.ZodType<WPUser>;
+
+// Custom post types only guarantee the fields every post type has
+export const wpContentSchema = z.object({
+  ...contentFields,
+  content: renderedField.optional(),
+  excerpt: renderedField.optional(),
+  author: z.number().optional(),
+  featured_media: z.number().optional(),
+}).passthrough();
+
+export type WPContentItem = z.infer<typeof wpContentSchema>;
+
+// ============================================================================
+// Loader
+// ============================================================================
+
+export type WPCollectionKind = 'post' | 'term' | 'user';
+
+export interface WordPressLoaderOptions extends WPRequestOptions {
+  /** REST base of the collection: posts, pages, categories, tags, users or a CPT */
+  restBase: string;
+  /** How entries are fetched and rendered (inferred for core endpoints, else 'post') */
+  kind?: WPCollectionKind;
+  /** Extra REST query parameters, e.g. { categories: 4 } */
+  query?: Record<string, any>;
+}
+
+const CORE_KINDS: Record<string, WPCollectionKind> = {
+  posts: 'post',
+  pages: 'post',
+  categories: 'term',
+  tags: 'term',
+  users: 'user',
+};
+
+const CORE_SCHEMAS: Record<string, z.ZodTypeAny> = {
+  posts: wpPostSchema,
+  pages: wpPageSchema,
+  categories: wpCategorySchema,
+  tags: wpTagSchema,
+  users: wpUserSchema,
+};
+
+// WordPress caps `include` lists at per_page (100)
+const INCLUDE_CHUNK = 100;
+
+interface IndexItem {
+  id: number;
+  slug: string;
+  modified_gmt?: string;
+}
+
+/**
+ * Give every item a unique entry id: its slug, or slug-<id> when a slug is
+ * shared (e.g. pages with the same slug under different parents)
+ */
+function assignEntryIds(items: IndexItem[], logger: LoaderContext['logger']): Map<number, string> {
+  const ids = new Map<number, string>();
+  const taken = new Set<string>();
+  for (const item of items) {
+    let entryId = item.slug || String(item.id);
+    if (taken.has(entryId)) {
+      logger.warn(`Duplicate slug "${entryId}" - using "${entryId}-${item.id}" for item ${item.id}`);
+      entryId = `${entryId}-${item.id}`;
+    }
+    taken.add(entryId);
+    ids.set(item.id, entryId);
+  }
+  return ids;
+}
+
+/**
+ * Point content and excerpt media at local copies (see sync-media)
+ */
+function localizeContent<T extends Record<string, any>>(item: T): T {
+  const localized: Record<string, any> = { ...item };
+  for (const field of ['content', 'excerpt']) {
+    if (typeof item[field]?.rendered === 'string') {
+      localized[field] = { ...item[field], rendered: rewriteContentUrls(item[field].rendered) };
+    }
+  }
+  return localized as T;
+}
+
+/**
+ * Fetch full items (with _embed) by id, in chunks WordPress accepts
+ */
+async function fetchByIds(options: WordPressLoaderOptions, ids: number[]): Promise<Record<string, any>[]> {
+  const { restBase, query = {} } = options;
+  const items: Record<string, any>[] = [];
+  for (let i = 0; i < ids.length; i += INCLUDE_CHUNK) {
+    const include = ids.slice(i, i + INCLUDE_CHUNK).join(',');
+    items.push(...await wpRequestAll<Record<string, any>>(restBase, { ...query, include, _embed: true }, options));
+  }
+  return items;
+}
+
+function readIndex(meta: LoaderContext['meta']): Record<string, string> {
+  try {
+    return JSON.parse(meta.get('index') || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Create a content-layer loader for a WordPress REST collection
+ */
+export function wordpressLoader(options: WordPressLoaderOptions): Loader {
+  const { restBase, query = {} } = options;
+  const kind = options.kind || CORE_KINDS[restBase] || 'post';
+
+  return {
+    name: `wordpress-loader:${restBase}`,
+    schema: CORE_SCHEMAS[restBase] ?? (kind === 'post' ? wpContentSchema : undefined),
+
+    async load({ store, meta, logger, parseData, generateDigest }) {
+      // A different source/status/query invalidates everything stored so far, and
+      // so does a new media map: stored HTML has its uploads rewritten against it
+      const syncKey = JSON.stringify({ source: options.source, status: options.status, query, media: getMediaMapVersion() });
+      const resync = meta.get('sync') !== syncKey;
+
+      let index: IndexItem[];
+      let items: Record<string, any>[];
+      let entryIds: Map<number, string>;
+      try {
+        if (kind === 'post') {
+          // List id/slug/modified_gmt only, then fetch what changed since the last sync
+          index = await wpRequestAll<IndexItem>(restBase, { ...query, _fields: 'id,slug,modified_gmt' }, options);
+          entryIds = assignEntryIds(index, logger);
+          const previous = resync ? {} : readIndex(meta);
+          const stale = index.filter(item => {
+            const id = entryIds.get(item.id)!;
+            return !item.modified_gmt || previous[item.id] !== `${id}@${item.modified_gmt}` || !store.has(id);
+          });
+          items = await fetchByIds(options, stale.map(item => item.id));
+        } else {
+          items = await wpRequestAll<Record<string, any>>(restBase, query, options);
+          index = items as IndexItem[];
+          entryIds = assignEntryIds(index, logger);
+        }
+      } catch (error) {
+        if (isStrictMode()) throw error;
+        logger.warn(
+          `Could not sync ${restBase}, keeping ${store.keys().length} stored entries: ` +
+          (error instanceof Error ? error.message : String(error))
+        );
+        return;
+      }
+
+      if (resync) store.clear();
+
+      let updated = 0;
+      for (const item of items) {
+        const id = entryIds.get(item.id);
+        if (!id) continue;
+
+        const source = kind === 'post' ? localizeContent(item) : item;
+        const data = await parseData({ id, data: source });
+        const changed = store.set({
+          id,
+          data,
+          digest: generateDigest(item.modified_gmt ? `${item.id}@${item.modified_gmt}` : item),
+          rendered: kind === 'post' && typeof source.content?.rendered === 'string'
+            ? { html: source.content.rendered }
+            : undefined,
+        });
+        if (changed) updated++;
+      }
+
+      // Drop entries that were deleted, unpublished or renamed upstream
+      const current = new Set(entryIds.values());
+      for (const id of store.keys()) {
+        if (!current.has(id)) store.delete(id);
+      }
+
+      meta.set('sync', syncKey);
+      if (kind === 'post') {
+        meta.set('index', JSON.stringify(
+          Object.fromEntries(index.map(item => [item.id, `${entryIds.get(item.id)}@${item.modified_gmt}`]))
+        ));
+      }
+
+      logger.info(`Synced ${store.keys().length} ${restBase} (${updated} updated)`);
+    },
+  };
+}
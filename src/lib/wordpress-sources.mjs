@@ -0,0 +1,129 @@
+/**
+ * WordPress sources and authentication
+ *
+ * Kept in plain JavaScript so they can be shared by src/lib/wordpress.ts and
+ * Node scripts (sync-media, generate-redirects, import-content), which then
+ * talk to the same WordPress as the site build:
+ *   WP_API_URL, WP_ACCESS_SECRET, WP_USERNAME, WP_APP_PASSWORD, WP_JWT_TOKEN
+ *   WP_<NAME>_API_URL, ... for named sources, selected with WP_SOURCE=<name>
+ */
+
+// Used when WP_API_URL is not set
+export const DEFAULT_WP_API_URL = 'https://webwork.lkouros.com/wp-json';
+
+/**
+ * @typedef {object} WPSource
+ * @property {string} name
+ * @property {string} apiUrl
+ * @property {string} [accessSecret]
+ * @property {string} [username]
+ * @property {string} [appPassword]
+ * @property {string} [jwtToken]
+ */
+
+/**
+ * Variables Vite exposes on import.meta.env (undefined in plain Node scripts)
+ * @returns {Record<string, string | undefined>}
+ */
+function getViteEnv() {
+  return import.meta.env || {};
+}
+
+/**
+ * Read a trimmed environment variable, undefined when empty
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+export function readEnv(name) {
+  const value = process.env[name] ?? getViteEnv()[name];
+  return value ? String(value).trim() || undefined : undefined;
+}
+
+/**
+ * @param {string} name
+ * @param {string} prefix
+ * @returns {WPSource | null}
+ */
+function readSource(name, prefix) {
+  const apiUrl = readEnv(`${prefix}API_URL`);
+  if (!apiUrl) return null;
+  return {
+    name,
+    apiUrl: apiUrl.replace(/\/+$/, ''),
+    accessSecret: readEnv(`${prefix}ACCESS_SECRET`),
+    username: readEnv(`${prefix}USERNAME`),
+    appPassword: readEnv(`${prefix}APP_PASSWORD`),
+    jwtToken: readEnv(`${prefix}JWT_TOKEN`),
+  };
+}
+
+/** @type {Record<string, WPSource> | null} */
+let sources = null;
+
+/**
+ * Get all configured WordPress sources, keyed by name
+ * The unprefixed WP_* variables define the 'default' source.
+ * @returns {Record<string, WPSource>}
+ */
+export function getSources() {
+  if (sources) return sources;
+
+  /** @type {Record<string, WPSource>} */
+  const all = {
+    default: readSource('default', 'WP_') || { name: 'default', apiUrl: DEFAULT_WP_API_URL },
+  };
+
+  const envKeys = new Set([...Object.keys(getViteEnv()), ...Object.keys(process.env)]);
+  for (const key of envKeys) {
+    const match = key.match(/^WP_([A-Z0-9_]+)_API_URL$/);
+    if (!match) continue;
+    const name = match[1].toLowerCase();
+    const source = readSource(name, `WP_${match[1]}_`);
+    if (source) all[name] = source;
+  }
+
+  return (sources = all);
+}
+
+/**
+ * Get a source by name, or the active source (WP_SOURCE) if no name is given
+ * @param {string} [name]
+ * @returns {WPSource}
+ */
+export function getSource(name) {
+  const all = getSources();
+  const sourceName = (name || readEnv('WP_SOURCE') || 'default').toLowerCase();
+  const source = all[sourceName];
+  if (!source) {
+    throw new Error(`Unknown WordPress source "${sourceName}". Configured sources: ${Object.keys(all).join(', ')}`);
+  }
+  return source;
+}
+
+/**
+ * Check whether a source has credentials for drafts and private content
+ * @param {WPSource} [source]
+ * @returns {boolean}
+ */
+export function isAuthenticated(source = getSource()) {
+  return Boolean(source.jwtToken || (source.username && source.appPassword));
+}
+
+/**
+ * Build request headers for a source
+ * @param {WPSource} [source]
+ * @returns {Record<string, string>}
+ */
+export function getAuthHeaders(source = getSource()) {
+  /** @type {Record<string, string>} */
+  const headers = {};
+  if (source.accessSecret) {
+    headers['X-PhantomWP-Secret'] = source.accessSecret;
+  }
+  if (source.jwtToken) {
+    headers['Authorization'] = `Bearer ${source.jwtToken}`;
+  } else if (source.username && source.appPassword) {
+    headers['Authorization'] = 'Basic ' + Buffer.from(`${source.username}:${source.appPassword}`).toString('base64');
+  }
+  return headers;
+}
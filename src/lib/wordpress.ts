@@ -2,16 +2,44 @@
  * WordPress REST API Client for Astro
  * 
  * Auto-generated by PhantomWP
- * API URL: https://webwork.lkouros.com/wp-json
+ * 
+ * The endpoint and credentials are read from the environment (see .env.example):
+ *   WP_API_URL        REST API URL, e.g. https://example.com/wp-json
+ *   WP_ACCESS_SECRET  Sent as the X-PhantomWP-Secret header
+ *   WP_USERNAME + WP_APP_PASSWORD  WordPress application password (Basic auth)
+ *   WP_JWT_TOKEN      JWT sent as a Bearer token (takes precedence over Basic auth)
+ * 
+ * Named sources (e.g. staging) use the same variables with the source name inserted:
+ *   WP_STAGING_API_URL, WP_STAGING_ACCESS_SECRET, WP_STAGING_USERNAME, ...
+ * and are selected with WP_SOURCE=staging, or per call via the `source` option.
  */
 
-const WP_API_URL = 'https://webwork.lkouros.com/wp-json';
+import {
+  getCacheMode,
+  getCacheDir,
+  readCacheEntry,
+  writeCacheEntry,
+  isFresh,
+  getFingerprint,
+  type CacheEntry,
+} from './wordpress-cache';
+import {
+  readEnv,
+  getSources,
+  getSource,
+  isAuthenticated,
+  getAuthHeaders,
+  type WPSource,
+} from './wordpress-sources.mjs';
 
 // WordPress REST API Types
 export interface WPPost {
   id: number;
   date: string;
+  modified_gmt?: string;
   slug: string;
+  status?: string;
+  link?: string;
   title: { rendered: string };
   content: { rendered: string };
   excerpt: { rendered: string };
@@ -33,13 +61,17 @@ export interface WPPost {
 export interface WPPage {
   id: number;
   date: string;
+  modified_gmt?: string;
   slug: string;
+  status?: string;
+  link?: string;
   title: { rendered: string };
   content: { rendered: string };
   excerpt: { rendered: string };
   author: number;
   featured_media: number;
   parent: number;
+  menu_order?: number;
   _embedded?: {
     author?: WPUser[];
     'wp:featuredmedia'?: WPMedia[];
@@ -104,9 +136,147 @@ export interface WPUser {
   avatar_urls: Record<string, string>;
 }
 
-// Fetch helpers
-async function wpFetch<T>(endpoint: string, params: Record<string, any> = {}, defaultValue?: T): Promise<T> {
-  const url = new URL(`${WP_API_URL}/wp/v2/${endpoint}`);
+// Navigation menus (/wp/v2/menus, WordPress 5.9+; requires credentials)
+export interface WPMenu {
+  id: number;
+  name: string;
+  slug: string;
+  /** Theme locations the menu is assigned to, e.g. ['primary'] */
+  locations: string[];
+}
+
+export interface WPMenuItem {
+  id: number;
+  title: { rendered: string };
+  url: string;
+  /** Parent menu item ID, 0 at the top level */
+  parent: number;
+  menu_order: number;
+  /** 'post_type', 'taxonomy', 'post_type_archive' or 'custom' */
+  type: string;
+  /** Linked object type, e.g. 'page', 'post', 'category' */
+  object: string;
+  object_id: number;
+  target: string;
+  menus: number;
+}
+
+export type WPPostStatus = 'publish' | 'future' | 'draft' | 'pending' | 'private' | 'any';
+
+// Options shared by every content query
+export interface WPRequestOptions {
+  /** Named source to query (defaults to WP_SOURCE, then the default source) */
+  source?: string;
+  /** Post statuses to include - anything but 'publish' requires credentials */
+  status?: WPPostStatus | WPPostStatus[];
+  /** Bypass the response cache and request deduplication (on-demand renders) */
+  fresh?: boolean;
+}
+
+// ============================================================================
+// Sources & Authentication
+// ============================================================================
+
+// Defined in wordpress-sources.mjs, which the Node scripts share
+export type { WPSource };
+export { getSources, getSource, isAuthenticated, getAuthHeaders };
+
+// ============================================================================
+// Fetching (timeouts, retries, pagination, strict mode)
+// ============================================================================
+
+/**
+ * Request tuning, read from the environment:
+ *   WP_TIMEOUT_MS    Per-request timeout (default 15000)
+ *   WP_RETRIES       Retries for timeouts, network errors, 429 and 5xx (default 3)
+ *   WP_CONCURRENCY   Maximum parallel requests to WordPress (default 4)
+ *   WP_STRICT        "true" to fail the build when a content fetch errors
+ *                    instead of logging and rendering empty pages
+ */
+function readNumberEnv(name: string, fallback: number): number {
+  const value = Number(readEnv(name));
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function isStrictMode(): boolean {
+  return /^(1|true|yes)$/i.test(readEnv('WP_STRICT') || '');
+}
+
+/**
+ * Error thrown when a WordPress request fails after all retries
+ * Only surfaces to callers in strict mode; otherwise it is logged.
+ */
+export class WordPressAPIError extends Error {
+  status?: number;
+  endpoint: string;
+  url: string;
+
+  constructor(message: string, details: { endpoint: string; url: string; status?: number }) {
+    super(message);
+    this.name = 'WordPressAPIError';
+    this.endpoint = details.endpoint;
+    this.url = details.url;
+    this.status = details.status;
+  }
+}
+
+export interface WPResponse<T> {
+  data: T;
+  /** X-WP-Total for collection requests */
+  total: number;
+  /** X-WP-TotalPages for collection requests */
+  totalPages: number;
+}
+
+// Limit parallel requests across the whole build
+let activeRequests = 0;
+const requestQueue: Array<() => void> = [];
+
+async function withRequestSlot<T>(task: () => Promise<T>): Promise<T> {
+  const limit = Math.max(1, readNumberEnv('WP_CONCURRENCY', 4));
+  if (activeRequests >= limit) {
+    await new Promise<void>(resolve => requestQueue.push(resolve));
+  }
+  activeRequests++;
+  try {
+    return await task();
+  } finally {
+    activeRequests--;
+    requestQueue.shift()?.();
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryableStatus(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the server sent one,
+ * otherwise exponential backoff with jitter (500ms, 1s, 2s, ... capped at 10s)
+ */
+function getRetryDelay(attempt: number, response?: Response): number {
+  const retryAfter = response?.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(seconds)) return Math.min(seconds * 1000, 60000);
+    if (!Number.isNaN(date)) return Math.max(0, Math.min(date - Date.now(), 60000));
+  }
+  return Math.min(500 * 2 ** attempt, 10000) + Math.random() * 250;
+}
+
+function buildUrl(source: WPSource, endpoint: string, params: Record<string, any>, options: WPRequestOptions): URL {
+  const url = new URL(`${source.apiUrl}/wp/v2/${endpoint}`);
+  
+  if (options.status) {
+    const status = Array.isArray(options.status) ? options.status.join(',') : options.status;
+    if (status !== 'publish' && !isAuthenticated(source)) {
+      console.warn(`WordPress source "${source.name}" has no credentials; status=${status} will only return public content`);
+    }
+    params = { ...params, status };
+  }
   
   Object.entries(params).forEach(([key, value]) => {
     if (value !== undefined && value !== null) {
@@ -114,23 +284,272 @@ async function wpFetch<T>(endpoint: string, params: Record<string, any> = {}, de
     }
   });
   
+  return url;
+}
+
+interface FetchResult<T> {
+  notModified: boolean;
+  response: WPResponse<T | null>;
+  etag?: string;
+  lastModified?: string;
+}
+
+/**
+ * Fetch a URL with timeout and retries
+ * Conditional headers may be passed in; a 304 comes back as `notModified`.
+ */
+async function fetchWithRetries<T>(
+  source: WPSource,
+  url: URL,
+  endpoint: string,
+  extraHeaders: Record<string, string> = {}
+): Promise<FetchResult<T>> {
+  const timeout = readNumberEnv('WP_TIMEOUT_MS', 15000);
+  const retries = readNumberEnv('WP_RETRIES', 3);
+  const empty: WPResponse<T | null> = { data: null, total: 0, totalPages: 0 };
+  
+  let lastError = '';
+  let lastStatus: number | undefined;
+  
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let response: Response | undefined;
+    try {
+      response = await withRequestSlot(() => fetch(url.toString(), {
+        headers: { ...getAuthHeaders(source), ...extraHeaders },
+        signal: AbortSignal.timeout(timeout),
+      }));
+    } catch (error) {
+      const isTimeout = error instanceof Error && (error.name === 'TimeoutError' || error.name === 'AbortError');
+      lastError = isTimeout ? `timed out after ${timeout}ms` : (error instanceof Error ? error.message : String(error));
+      lastStatus = undefined;
+    }
+    
+    if (response) {
+      if (response.status === 304) {
+        return { notModified: true, response: empty };
+      }
+      
+      if (response.ok) {
+        return {
+          notModified: false,
+          response: {
+            data: await response.json() as T,
+            total: Number(response.headers.get('x-wp-total')) || 0,
+            totalPages: Number(response.headers.get('x-wp-totalpages')) || 0,
+          },
+          etag: response.headers.get('etag') || undefined,
+          lastModified: response.headers.get('last-modified') || undefined,
+        };
+      }
+      
+      if (response.status === 404) {
+        return { notModified: false, response: empty };
+      }
+      
+      lastStatus = response.status;
+      lastError = `${response.status} ${response.statusText}`;
+      
+      if (response.status === 400) {
+        const body = await response.json().catch(() => null);
+        if (body?.code === 'rest_post_invalid_page_number') {
+          return { notModified: false, response: empty };
+        }
+      }
+      
+      if (!isRetryableStatus(response.status)) break;
+    }
+    
+    if (attempt < retries) {
+      await sleep(getRetryDelay(attempt, response));
+    }
+  }
+  
+  throw new WordPressAPIError(`WordPress API request failed for ${endpoint}: ${lastError}`, {
+    endpoint,
+    url: url.toString(),
+    status: lastStatus,
+  });
+}
+
+/**
+ * Check a cached entry against WordPress without downloading the payload
+ * Asks for the same query with `_fields=id,modified_gmt` and compares the
+ * result with the cached fingerprint. Entries without a fingerprint (terms,
+ * users) fall back to If-None-Match / If-Modified-Since on the full request.
+ */
+async function isUnchanged(source: WPSource, url: URL, endpoint: string, entry: CacheEntry<WPResponse<unknown>>): Promise<boolean> {
+  if (entry.fingerprint === undefined) return false;
+  
+  const probe = new URL(url);
+  probe.searchParams.delete('_embed');
+  probe.searchParams.set('_fields', 'id,modified_gmt');
+  
   try {
-    const response = await fetch(url.toString());
+    const { response } = await fetchWithRetries<unknown>(source, probe, endpoint);
+    return response.data !== null && getFingerprint(response.data) === entry.fingerprint;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serve a request through the on-disk cache (see ./wordpress-cache.ts)
+ */
+async function cachedRequest<T>(source: WPSource, url: URL, endpoint: string, key: string): Promise<WPResponse<T | null>> {
+  const mode = getCacheMode();
+  if (mode === 'off') {
+    return (await fetchWithRetries<T>(source, url, endpoint)).response;
+  }
+  
+  const entry = await readCacheEntry<WPResponse<T | null>>(key);
+  
+  if (mode === 'offline') {
+    if (entry) return entry.response;
+    throw new WordPressAPIError(`WordPress API request for ${endpoint} is not in the offline snapshot (${getCacheDir()})`, {
+      endpoint,
+      url: url.toString(),
+    });
+  }
+  
+  if (entry && isFresh(entry)) {
+    return entry.response;
+  }
+  
+  try {
+    if (entry && await isUnchanged(source, url, endpoint, entry)) {
+      await writeCacheEntry({ ...entry, storedAt: Date.now() });
+      return entry.response;
+    }
+    
+    const conditional: Record<string, string> = {};
+    if (entry?.etag) conditional['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) conditional['If-Modified-Since'] = entry.lastModified;
     
-    if (!response.ok) {
-      console.error(`WordPress API error: ${response.status} ${response.statusText}`);
-      return defaultValue as T;
+    const result = await fetchWithRetries<T>(source, url, endpoint, conditional);
+    if (result.notModified && entry) {
+      await writeCacheEntry({ ...entry, storedAt: Date.now() });
+      return entry.response;
     }
     
-    return response.json();
+    await writeCacheEntry({
+      key,
+      url: url.toString(),
+      storedAt: Date.now(),
+      etag: result.etag,
+      lastModified: result.lastModified,
+      fingerprint: getFingerprint(result.response.data),
+      response: result.response,
+    });
+    return result.response;
   } catch (error) {
-    console.error(`WordPress API connection failed for ${endpoint}:`, error instanceof Error ? error.message : error);
+    if (entry) {
+      console.warn(`${error instanceof Error ? error.message : error} - using cached response from ${new Date(entry.storedAt).toISOString()}`);
+      return entry.response;
+    }
+    throw error;
+  }
+}
+
+// Requests in flight, shared by concurrent callers
+const inflightRequests = new Map<string, Promise<WPResponse<any>>>();
+
+/**
+ * Perform a WordPress REST request with caching, timeout and retries
+ * Identical requests are deduplicated while in flight; `fresh` skips both
+ * the cache and deduplication for on-demand renders.
+ * Throws WordPressAPIError on failure.
+ * A 404, or a page number past the end of a collection, resolves to
+ * `data: null` rather than an error.
+ */
+export async function wpRequest<T>(
+  endpoint: string,
+  params: Record<string, any> = {},
+  options: WPRequestOptions = {}
+): Promise<WPResponse<T | null>> {
+  const source = getSource(options.source);
+  const url = buildUrl(source, endpoint, params, options);
+  if (options.fresh) {
+    return (await fetchWithRetries<T>(source, url, endpoint)).response;
+  }
+  const key = `${source.name}:${isAuthenticated(source) ? 'auth' : 'public'}:${url}`;
+  
+  const existing = inflightRequests.get(key);
+  if (existing) return existing;
+  
+  // Settled responses are served by the on-disk cache, not kept here, so a
+  // long-running server does not hold on to every response it ever fetched
+  const request = cachedRequest<T>(source, url, endpoint, key).finally(() => {
+    inflightRequests.delete(key);
+  });
+  inflightRequests.set(key, request);
+  return request;
+}
+
+/**
+ * Handle a failed request: rethrow in strict mode, otherwise log it
+ */
+function handleFetchError(error: unknown): void {
+  if (isStrictMode()) {
+    throw error;
+  }
+  console.error(error instanceof Error ? error.message : error);
+}
+
+// Fetch helpers
+async function wpFetch<T>(
+  endpoint: string,
+  params: Record<string, any> = {},
+  defaultValue?: T,
+  options: WPRequestOptions = {}
+): Promise<T> {
+  try {
+    const { data } = await wpRequest<T>(endpoint, params, options);
+    return data ?? (defaultValue as T);
+  } catch (error) {
+    handleFetchError(error);
     return defaultValue as T;
   }
 }
 
+/**
+ * Fetch every page of a collection
+ * The first page reports X-WP-TotalPages; the remaining pages are then
+ * requested in parallel (bounded by WP_CONCURRENCY). Throws like wpRequest().
+ */
+export async function wpRequestAll<T>(
+  endpoint: string,
+  params: Record<string, any> = {},
+  options: WPRequestOptions = {}
+): Promise<T[]> {
+  const first = await wpRequest<T[]>(endpoint, { ...params, page: 1, per_page: 100 }, options);
+  const items = [...(first.data || [])];
+  
+  const remaining = Array.from({ length: Math.max(0, first.totalPages - 1) }, (_, i) => i + 2);
+  const pages = await Promise.all(
+    remaining.map(page => wpRequest<T[]>(endpoint, { ...params, page, per_page: 100 }, options))
+  );
+  for (const page of pages) {
+    items.push(...(page.data || []));
+  }
+  
+  return items;
+}
+
+async function wpFetchAll<T>(
+  endpoint: string,
+  params: Record<string, any> = {},
+  options: WPRequestOptions = {}
+): Promise<T[]> {
+  try {
+    return await wpRequestAll<T>(endpoint, params, options);
+  } catch (error) {
+    handleFetchError(error);
+    return [];
+  }
+}
+
 // Posts
-export async function getPosts(options: {
+export async function getPosts(options: WPRequestOptions & {
   page?: number;
   perPage?: number;
   search?: string;
@@ -146,39 +565,33 @@ export async function getPosts(options: {
     tags: options.tags?.join(','),
     author: options.author,
     _embed: true,
-  }, []);
+  }, [], options);
 }
 
-export async function getPost(slug: string): Promise<WPPost | null> {
-  const posts = await wpFetch<WPPost[]>('posts', { slug, _embed: true }, []);
+export async function getPost(slug: string, options: WPRequestOptions = {}): Promise<WPPost | null> {
+  const posts = await wpFetch<WPPost[]>('posts', { slug, _embed: true }, [], options);
   return posts && posts.length > 0 ? posts[0] : null;
 }
 
-export async function getPostById(id: number): Promise<WPPost | null> {
-  return wpFetch<WPPost | null>(`posts/${id}`, { _embed: true }, null);
+export async function getPostById(id: number, options: WPRequestOptions = {}): Promise<WPPost | null> {
+  return wpFetch<WPPost | null>(`posts/${id}`, { _embed: true }, null, options);
 }
 
-export async function getAllPosts(): Promise<WPPost[]> {
-  const allPosts: WPPost[] = [];
-  let page = 1;
-  let hasMore = true;
-  
-  while (hasMore) {
-    const posts = await getPosts({ page, perPage: 100 });
-    if (!posts || posts.length === 0) {
-      hasMore = false;
-    } else {
-      allPosts.push(...posts);
-      hasMore = posts.length === 100;
-      page++;
-    }
-  }
-  
-  return allPosts;
+export async function getAllPosts(options: WPRequestOptions & {
+  categories?: number[];
+  tags?: number[];
+  author?: number;
+} = {}): Promise<WPPost[]> {
+  return wpFetchAll<WPPost>('posts', {
+    categories: options.categories?.join(','),
+    tags: options.tags?.join(','),
+    author: options.author,
+    _embed: true,
+  }, options);
 }
 
 // Pages
-export async function getPages(options: {
+export async function getPages(options: WPRequestOptions & {
   page?: number;
   perPage?: number;
   search?: string;
@@ -190,39 +603,24 @@ export async function getPages(options: {
     search: options.search,
     parent: options.parent,
     _embed: true,
-  }, []);
+  }, [], options);
 }
 
-export async function getPage(slug: string): Promise<WPPage | null> {
-  const pages = await wpFetch<WPPage[]>('pages', { slug, _embed: true }, []);
+export async function getPage(slug: string, options: WPRequestOptions = {}): Promise<WPPage | null> {
+  const pages = await wpFetch<WPPage[]>('pages', { slug, _embed: true }, [], options);
   return pages && pages.length > 0 ? pages[0] : null;
 }
 
-export async function getPageById(id: number): Promise<WPPage | null> {
-  return wpFetch<WPPage | null>(`pages/${id}`, { _embed: true }, null);
+export async function getPageById(id: number, options: WPRequestOptions = {}): Promise<WPPage | null> {
+  return wpFetch<WPPage | null>(`pages/${id}`, { _embed: true }, null, options);
 }
 
-export async function getAllPages(): Promise<WPPage[]> {
-  const allPages: WPPage[] = [];
-  let page = 1;
-  let hasMore = true;
-  
-  while (hasMore) {
-    const pages = await getPages({ page, perPage: 100 });
-    if (!pages || pages.length === 0) {
-      hasMore = false;
-    } else {
-      allPages.push(...pages);
-      hasMore = pages.length === 100;
-      page++;
-    }
-  }
-  
-  return allPages;
+export async function getAllPages(options: WPRequestOptions = {}): Promise<WPPage[]> {
+  return wpFetchAll<WPPage>('pages', { _embed: true }, options);
 }
 
 // Media
-export async function getMedia(options: {
+export async function getMedia(options: Pick<WPRequestOptions, 'source'> & {
   page?: number;
   perPage?: number;
   search?: string;
@@ -231,47 +629,57 @@ export async function getMedia(options: {
     page: options.page,
     per_page: options.perPage || 10,
     search: options.search,
-  }, []);
+  }, [], { source: options.source });
 }
 
-export async function getMediaById(id: number): Promise<WPMedia | null> {
-  return wpFetch<WPMedia | null>(`media/${id}`, {}, null);
+export async function getMediaById(id: number, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPMedia | null> {
+  return wpFetch<WPMedia | null>(`media/${id}`, {}, null, options);
 }
 
 // Categories
-export async function getCategories(): Promise<WPCategory[]> {
-  return wpFetch<WPCategory[]>('categories', { per_page: 100 }, []);
+export async function getCategories(options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPCategory[]> {
+  return wpFetchAll<WPCategory>('categories', {}, options);
 }
 
-export async function getCategoryBySlug(slug: string): Promise<WPCategory | null> {
-  const categories = await wpFetch<WPCategory[]>('categories', { slug }, []);
+export async function getCategoryBySlug(slug: string, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPCategory | null> {
+  const categories = await wpFetch<WPCategory[]>('categories', { slug }, [], options);
   return categories && categories.length > 0 ? categories[0] : null;
 }
 
 // Tags
-export async function getTags(): Promise<WPTag[]> {
-  return wpFetch<WPTag[]>('tags', { per_page: 100 }, []);
+export async function getTags(options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPTag[]> {
+  return wpFetchAll<WPTag>('tags', {}, options);
 }
 
-export async function getTagBySlug(slug: string): Promise<WPTag | null> {
-  const tags = await wpFetch<WPTag[]>('tags', { slug }, []);
+export async function getTagBySlug(slug: string, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPTag | null> {
+  const tags = await wpFetch<WPTag[]>('tags', { slug }, [], options);
   return tags && tags.length > 0 ? tags[0] : null;
 }
 
 // Users/Authors
-export async function getUsers(): Promise<WPUser[]> {
-  return wpFetch<WPUser[]>('users', { per_page: 100 }, []);
+export async function getUsers(options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPUser[]> {
+  return wpFetchAll<WPUser>('users', {}, options);
 }
 
-export async function getUserById(id: number): Promise<WPUser | null> {
-  return wpFetch<WPUser | null>(`users/${id}`, {}, null);
+export async function getUserById(id: number, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPUser | null> {
+  return wpFetch<WPUser | null>(`users/${id}`, {}, null, options);
 }
 
-export async function getUserBySlug(slug: string): Promise<WPUser | null> {
-  const users = await wpFetch<WPUser[]>('users', { slug }, []);
+export async function getUserBySlug(slug: string, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPUser | null> {
+  const users = await wpFetch<WPUser[]>('users', { slug }, [], options);
   return users && users.length > 0 ? users[0] : null;
 }
 
+// Menus
+export async function getMenus(options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPMenu[]> {
+  return wpFetchAll<WPMenu>('menus', {}, options);
+}
+
+export async function getMenuItemsByMenu(menuId: number, options: Pick<WPRequestOptions, 'source'> = {}): Promise<WPMenuItem[]> {
+  const items = await wpFetchAll<WPMenuItem>('menu-items', { menus: menuId }, options);
+  return items.sort((a, b) => a.menu_order - b.menu_order);
+}
+
 // Helper to get featured image URL from embedded data
 export function getFeaturedImageUrl(post: WPPost | WPPage, size: string = 'full'): string | null {
   const media = post._embedded?.['wp:featuredmedia']?.[0];
@@ -311,6 +719,29 @@ export function formatDate(
   return new Date(dateString).toLocaleDateString('en-US', options);
 }
 
+function decodeCodePoint(code: number, fallback: string): string {
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : fallback;
+}
+
+// Named entities WordPress emits (wptexturize, esc_html)
+const NAMED_ENTITIES: Record<string, string> = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  hellip: '\u2026', ndash: '\u2013', mdash: '\u2014',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', prime: '\u2032', Prime: '\u2033',
+};
+
+/**
+ * Decode HTML entities (named ones WordPress produces, and numeric ones)
+ * Decoding happens in one pass, so "&amp;lt;" becomes "&lt;", not "<".
+ */
+export function decodeEntities(text: string): string {
+  return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] !== '#') return NAMED_ENTITIES[name] ?? entity;
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return decodeCodePoint(code, entity);
+  });
+}
+
 /**
  * Strip HTML tags from content
  * @param html - HTML string to strip
@@ -318,14 +749,7 @@ export function formatDate(
  */
 export function stripHtml(html: string): string {
   if (!html) return '';
-  return html
-    .replace(/<[^>]+>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
+  return decodeEntities(html.replace(/<[^>]+>/g, ''))
     .replace(/\s+/g, ' ')
     .trim();
 }
@@ -343,7 +767,7 @@ export function truncate(text: string, maxLength: number = 150): string {
 }
 
 // Custom Post Type helpers
-export async function getCustomPostType(restBase: string, options: {
+export async function getCustomPostType(restBase: string, options: WPRequestOptions & {
   page?: number;
   perPage?: number;
   search?: string;
@@ -353,109 +777,52 @@ export async function getCustomPostType(restBase: string, options: {
     per_page: options.perPage || 100,
     search: options.search,
     _embed: true,
-  }, []);
+  }, [], options);
+}
+
+export async function getAllCustomPostType(restBase: string, options: WPRequestOptions = {}): Promise<any[]> {
+  return wpFetchAll<any>(restBase, { _embed: true }, options);
 }
 
-export async function getCustomPostTypeItem(restBase: string, slug: string): Promise<any | null> {
-  const items = await wpFetch<any[]>(restBase, { slug, _embed: true }, []);
+export async function getCustomPostTypeItem(restBase: string, slug: string, options: WPRequestOptions = {}): Promise<any | null> {
+  const items = await wpFetch<any[]>(restBase, { slug, _embed: true }, [], options);
   return items && items.length > 0 ? items[0] : null;
 }
 
-export async function getCustomPostTypeById(restBase: string, id: number): Promise<any | null> {
-  return wpFetch<any | null>(`${restBase}/${id}`, { _embed: true }, null);
+export async function getCustomPostTypeById(restBase: string, id: number, options: WPRequestOptions = {}): Promise<any | null> {
+  return wpFetch<any | null>(`${restBase}/${id}`, { _embed: true }, null, options);
 }
 
 // ============================================================================
 // Media URL Rewriting (for local images)
 // ============================================================================
 
-// Import media map - this file should exist (even if empty: {})
-// If you've downloaded media, this maps WordPress URLs to local paths
-import mediaUrlMap from './media-map.json';
+// Lookups into media-map.json (written by scripts/sync-media.mjs)
+import { getLocalMediaPath } from './media-map';
 
 export function loadMediaMap(): void {
   // No-op for backwards compatibility - map is loaded via import
 }
 
-/**
- * Extract the base filename from a WordPress URL, removing size suffixes
- * e.g., "image-1024x585.png" -> "image.png"
- */
-function extractBaseFilename(url: string): string | null {
-  if (!url) return null;
-  
-  // Get filename from URL or path
-  const parts = url.split('/');
-  let filename = parts[parts.length - 1];
-  
-  // Remove query string
-  filename = filename.split('?')[0];
-  
-  // Remove WordPress size suffix (e.g., -1024x585, -300x200, etc.)
-  // Pattern: -[digits]x[digits] before the extension
-  filename = filename.replace(/-\d+x\d+(?=\.[^.]+$)/, '');
-  
-  return filename.toLowerCase();
-}
-
 export function getLocalImageUrl(originalUrl: string | null): string | null {
   if (!originalUrl) return null;
-  const map = mediaUrlMap as Record<string, string>;
-  
-  // Direct match
-  if (map[originalUrl]) return map[originalUrl];
-  
-  // Try to match by filename (handles size variants like -1024x585.png)
-  const filename = extractBaseFilename(originalUrl);
-  if (filename) {
-    for (const [, localPath] of Object.entries(map)) {
-      const localFilename = extractBaseFilename(localPath);
-      if (localFilename && localFilename === filename) {
-        return localPath;
-      }
-    }
-  }
-  
-  return originalUrl;
+  // Handles size variants (image-1024x585.png) and other hosts of the same upload
+  return getLocalMediaPath(originalUrl) ?? originalUrl;
 }
 
+// Absolute URLs in attributes, inline styles and srcset lists
+const CONTENT_URL_PATTERN = /https?:\/\/[^"'\s()<>,]+/gi;
+
 /**
  * Rewrite image URLs in HTML content to use local paths
  * Handles WordPress size variants (e.g., image-1024x585.png -> image.png)
  */
 export function rewriteContentUrls(content: string): string {
-  const map = mediaUrlMap as Record<string, string>;
-  if (Object.keys(map).length === 0) return content;
-  
-  // Build a filename -> local path lookup
-  const filenameMap: Record<string, string> = {};
-  for (const [, localPath] of Object.entries(map)) {
-    const baseFilename = extractBaseFilename(localPath);
-    if (baseFilename) {
-      filenameMap[baseFilename] = localPath;
-    }
-  }
-  
-  // First, do exact URL replacements
-  let result = content;
-  for (const [originalUrl, localPath] of Object.entries(map)) {
-    result = result.split(originalUrl).join(localPath);
-  }
-  
-  // Then, find and replace WordPress media URLs by filename matching
-  // Match URLs that look like WordPress uploads
-  const wpUrlPattern = /https?:\/\/[^"'\s]+\/wp-content\/uploads\/[^"'\s]+\.(jpg|jpeg|png|gif|webp|svg)/gi;
-  
-  result = result.replace(wpUrlPattern, (wpUrl) => {
-    const baseFilename = extractBaseFilename(wpUrl);
-    if (baseFilename && filenameMap[baseFilename]) {
-      return filenameMap[baseFilename];
-    }
-    return wpUrl;
-  });
+  // One pass over the content, one indexed lookup per URL
+  let result = content.replace(CONTENT_URL_PATTERN, url => getLocalMediaPath(url) ?? url);
   
   // Remove srcset and sizes attributes - they contain mixed remote/local URLs
-  // This ensures the browser uses only the src attribute with our local image
+  // ResponsiveImage.astro regenerates them for images with a local copy
   result = result.replace(/\s*srcset="[^"]*"/gi, '');
   result = result.replace(/\s*sizes="[^"]*"/gi, '');
   
@@ -0,0 +1,13 @@
+/**
+ * Middleware runs for every render, prerendered pages included
+ *
+ * Puts the page path in scope for lookups that report per page during the
+ * build (missing media, see src/lib/media-map.ts). On-demand renders in the
+ * preview server aren't part of any report.
+ */
+import { defineMiddleware } from 'astro:middleware';
+import { withMediaPage } from './lib/media-map';
+
+export const onRequest = defineMiddleware((context, next) =>
+  withMediaPage(context.isPrerendered ? context.url.pathname : null, next)
+);
@@ -0,0 +1,32 @@
+import type { APIRoute } from 'astro';
+import {
+  getFeedScopes,
+  renderFeed,
+  FEED_FILES,
+  type FeedFormat,
+  type FeedScope,
+} from '../lib/feeds';
+import { getSiteUrl } from '../lib/seo';
+
+export async function getStaticPaths() {
+  if (!getSiteUrl()) {
+    console.warn('[feeds] SITE_URL is not set - feed links will be relative and most readers will reject them');
+  }
+  
+  const scopes = await getFeedScopes();
+  return scopes.flatMap(scope => {
+    const base = scope.basePath.replace(/^\//, '');
+    const path = (file: string) => (base ? `${base}/${file}` : file);
+    
+    return Object.entries(FEED_FILES).map(([format, file]) => ({
+      params: { feed: path(file) },
+      props: { scope, format },
+    }));
+  });
+}
+
+export const GET: APIRoute = async ({ props }) => {
+  const { scope, format } = props as { scope: FeedScope; format: FeedFormat };
+  const items = await scope.load();
+  return renderFeed({ ...scope, items }, format);
+};
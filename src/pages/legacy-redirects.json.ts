@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import redirects from '../lib/redirects.json';
+
+// Read by src/components/LegacyRedirect.astro
+export const GET: APIRoute = () => {
+  return new Response(JSON.stringify(redirects), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+};
@@ -0,0 +1,20 @@
+import type { APIRoute } from 'astro';
+import { toAbsoluteUrl } from '../lib/seo';
+
+// Points crawlers at the XML sitemap, which is only generated when SITE_URL is set
+export const GET: APIRoute = ({ site }) => {
+  const lines = [
+    '# Allow all crawlers',
+    'User-agent: *',
+    'Allow: /',
+    '',
+    '# Crawl-delay for respectful crawling',
+    'Crawl-delay: 1',
+  ];
+  if (site) {
+    lines.push('', `Sitemap: ${toAbsoluteUrl('/sitemap-index.xml')}`);
+  }
+  return new Response(lines.join('\n') + '\n', {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+};
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { buildSearchIndex } from '../lib/search-index';
+
+export const GET: APIRoute = async () => {
+  const index = await buildSearchIndex();
+  return new Response(JSON.stringify(index), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+};
@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import * as git from '../.devcontainer/git-api.js';
+
+let repo;
+
+function write(file, content) {
+  return fs.writeFile(path.join(repo, file), content);
+}
+
+async function commitFile(file, content, message) {
+  await write(file, content);
+  await git.stagePaths(repo, { paths: [file] });
+  return git.commit(repo, { message });
+}
+
+// 30 numbered lines, so changes near the top and bottom are separate hunks
+function numberedLines(changes = {}) {
+  return Array.from({ length: 30 }, (_, i) => changes[i] ?? 'line ' + i).join('\n') + '\n';
+}
+
+beforeEach(async () => {
+  repo = await fs.mkdtemp(path.join(os.tmpdir(), 'git-api-'));
+  await git.runGit(repo, ['init', '-q', '-b', 'main']);
+  await git.runGit(repo, ['config', 'user.name', 'Test']);
+  await git.runGit(repo, ['config', 'user.email', 'test@example.com']);
+  await git.runGit(repo, ['config', 'commit.gpgsign', 'false']);
+});
+
+afterEach(async () => {
+  await fs.rm(repo, { recursive: true, force: true });
+});
+
+describe('getStatus', () => {
+  it('lists staged, unstaged and untracked files', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+    await commitFile('b.txt', 'b\n', 'second');
+    await write('a.txt', 'changed\n');
+    await write('b.txt', 'changed\n');
+    await git.stagePaths(repo, { paths: ['b.txt'] });
+    await write('new.txt', 'new\n');
+
+    const status = await git.getStatus(repo);
+
+    expect(status.branch).toBe('main');
+    expect(status.upstream).toBeNull();
+    expect(status.changes).toEqual([
+      { file: 'a.txt', status: ' M', type: 'modified', staged: false, unstaged: true },
+      { file: 'b.txt', status: 'M ', type: 'modified', staged: true, unstaged: false },
+      { file: 'new.txt', status: '??', type: 'untracked', staged: false, unstaged: true },
+    ]);
+  });
+
+  it('names the branch of a repository without commits', async () => {
+    expect(await git.getStatus(repo)).toMatchObject({ branch: 'main', changes: [] });
+  });
+});
+
+describe('branches', () => {
+  it('creates, lists and switches branches', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+    await commitFile('a.txt', 'b\n', 'second');
+
+    expect(await git.createBranch(repo, { name: 'feature/x', startPoint: 'HEAD~1' })).toEqual({ branch: 'feature/x', switched: false });
+    const { current, branches } = await git.listBranches(repo);
+    expect(current).toBe('main');
+    expect(branches.map(branch => [branch.name, branch.current, branch.subject])).toEqual([
+      ['feature/x', false, 'first'],
+      ['main', true, 'second'],
+    ]);
+
+    expect(await git.switchBranch(repo, { name: 'feature/x' })).toEqual({ branch: 'feature/x' });
+    expect(await fs.readFile(path.join(repo, 'a.txt'), 'utf8')).toBe('a\n');
+    expect((await git.getStatus(repo)).branch).toBe('feature/x');
+  });
+
+  it('rejects invalid, option-like and existing branch names', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+    await git.createBranch(repo, { name: 'feature' });
+
+    await expect(git.createBranch(repo, { name: 'a..b' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+    await expect(git.createBranch(repo, { name: '-f' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+    await expect(git.createBranch(repo, { name: 'feature' })).rejects.toMatchObject({ code: 'ALREADY_EXISTS' });
+    await expect(git.switchBranch(repo, { name: '--orphan' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+  });
+});
+
+describe('hunks', () => {
+  it('stages and unstages single hunks', async () => {
+    await commitFile('a.txt', numberedLines(), 'first');
+    await write('a.txt', numberedLines({ 1: 'CHANGED 1', 25: 'CHANGED 25' }));
+
+    const [file] = (await git.getDiff(repo)).files;
+    expect(file.path).toBe('a.txt');
+    expect(file.hunks).toHaveLength(2);
+
+    await git.stageHunks(repo, { path: 'a.txt', hunks: [file.hunks[1].id] });
+    const staged = (await git.getDiff(repo, { staged: true })).files[0].hunks;
+    const unstaged = (await git.getDiff(repo)).files[0].hunks;
+    expect(staged.map(hunk => hunk.header)).toEqual([file.hunks[1].header]);
+    expect(unstaged.map(hunk => hunk.header)).toEqual([file.hunks[0].header]);
+
+    await git.unstageHunks(repo, { path: 'a.txt', hunks: [staged[0].id] });
+    expect((await git.getDiff(repo, { staged: true })).files).toEqual([]);
+    expect((await git.getDiff(repo)).files[0].hunks).toHaveLength(2);
+  });
+
+  it('refuses hunk ids from an outdated diff', async () => {
+    await commitFile('a.txt', numberedLines(), 'first');
+    await write('a.txt', numberedLines({ 1: 'CHANGED 1', 25: 'CHANGED 25' }));
+    const [file] = (await git.getDiff(repo)).files;
+    await git.stageHunks(repo, { path: 'a.txt', hunks: [file.hunks[1].id] });
+
+    await expect(git.stageHunks(repo, { path: 'a.txt', hunks: [file.hunks[1].id] })).rejects.toMatchObject({ code: 'CONFLICT' });
+    await expect(git.stageHunks(repo, { path: 'a.txt', hunks: [] })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+  });
+});
+
+describe('commit', () => {
+  it('keeps the message as given', async () => {
+    const message = 'first $(touch pwned) "quoted" `ls`';
+    const { commit } = await commitFile('a.txt', 'a\n', message);
+
+    const { commits } = await git.getLog(repo);
+    expect(commits).toHaveLength(1);
+    expect(commits[0]).toMatchObject({ hash: commit, subject: message, parents: [] });
+    await expect(fs.stat(path.join(repo, 'pwned'))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('fails without a message or staged changes', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+
+    await expect(git.commit(repo, { message: ' ' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+    await expect(git.commit(repo, { message: 'nothing' })).rejects.toMatchObject({ code: 'COMMAND_FAILED' });
+  });
+});
+
+describe('stash', () => {
+  it('lists and pops stashes', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+    await expect(git.applyStash(repo, { index: 0 })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+
+    await write('a.txt', 'wip\n');
+    await git.runGit(repo, ['stash', 'push', '-m', 'wip']);
+    const { stashes } = await git.listStashes(repo);
+    expect(stashes).toMatchObject([{ index: 0, ref: 'stash@{0}', message: 'On main: wip' }]);
+
+    expect(await git.applyStash(repo, { index: 0, pop: true })).toMatchObject({ popped: true, conflicts: [] });
+    expect(await fs.readFile(path.join(repo, 'a.txt'), 'utf8')).toBe('wip\n');
+    expect((await git.listStashes(repo)).stashes).toEqual([]);
+  });
+
+  it('keeps a stash whose pop conflicts', async () => {
+    await commitFile('a.txt', 'a\n', 'first');
+    await write('a.txt', 'wip\n');
+    await git.runGit(repo, ['stash', 'push', '-m', 'wip']);
+    await commitFile('a.txt', 'other\n', 'other');
+
+    expect(await git.applyStash(repo, { index: 0, pop: true })).toEqual({ stash: 'stash@{0}', popped: false, conflicts: ['a.txt'] });
+    expect((await git.listStashes(repo)).stashes).toHaveLength(1);
+  });
+});
+
+describe('resolveConflict', () => {
+  it('takes one side of a merge conflict', async () => {
+    await commitFile('a.txt', 'base\n', 'base');
+    await git.createBranch(repo, { name: 'feature', switch: true });
+    await commitFile('a.txt', 'theirs\n', 'feature');
+    await git.switchBranch(repo, { name: 'main' });
+    await commitFile('a.txt', 'ours\n', 'main');
+    await git.runGit(repo, ['merge', 'feature'], { okExitCodes: [0, 1] });
+
+    expect(await git.listConflicts(repo)).toEqual({
+      operation: 'merge',
+      files: [{ path: 'a.txt', status: 'UU', ours: true, theirs: true }],
+    });
+
+    expect(await git.resolveConflict(repo, { path: 'a.txt', side: 'theirs' })).toEqual({ path: 'a.txt', side: 'theirs', remaining: 0 });
+    expect(await fs.readFile(path.join(repo, 'a.txt'), 'utf8')).toBe('theirs\n');
+    expect((await git.getStatus(repo)).changes).toMatchObject([{ file: 'a.txt', staged: true, unstaged: false }]);
+
+    await expect(git.resolveConflict(repo, { path: 'a.txt', side: 'ours' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(git.resolveConflict(repo, { path: 'a.txt', side: 'both' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+  });
+});
+
+describe('getLog', () => {
+  it('pages through history', async () => {
+    expect(await git.getLog(repo)).toEqual({ commits: [], skip: 0, limit: 50, hasMore: false });
+    for (let i = 0; i < 5; i++) await commitFile('n' + i, String(i), 'commit ' + i);
+
+    const first = await git.getLog(repo, { limit: 2 });
+    expect(first.commits.map(commit => commit.subject)).toEqual(['commit 4', 'commit 3']);
+    expect(first.hasMore).toBe(true);
+
+    const middle = await git.getLog(repo, { skip: 2, limit: 2 });
+    expect(middle.commits.map(commit => commit.subject)).toEqual(['commit 2', 'commit 1']);
+    expect(middle.hasMore).toBe(true);
+
+    const last = await git.getLog(repo, { skip: 4, limit: 2 });
+    expect(last.commits.map(commit => commit.subject)).toEqual(['commit 0']);
+    expect(last.hasMore).toBe(false);
+  });
+
+  it('filters by path and checks the ref', async () => {
+    for (let i = 0; i < 3; i++) await commitFile('n' + i, String(i), 'commit ' + i);
+
+    expect((await git.getLog(repo, { path: 'n1' })).commits.map(commit => commit.subject)).toEqual(['commit 1']);
+    await expect(git.getLog(repo, { ref: '--output=/tmp/x' })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+    await expect(git.getLog(repo, { ref: 'nope' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(git.getLog(repo, { skip: -1 })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+  });
+});
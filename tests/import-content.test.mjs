@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { importCollection } from '../scripts/import-content.mjs';
+
+let outDir;
+
+function project(id, fields = {}) {
+  return {
+    id,
+    slug: 'project-' + id,
+    date: '2024-05-01T10:00:00',
+    title: { rendered: 'Project ' + id },
+    excerpt: { rendered: '<p>About project ' + id + '</p>' },
+    content: { rendered: '<p>Body</p>' },
+    ...fields,
+  };
+}
+
+function run(items, options = {}) {
+  return importCollection({
+    collection: 'projects',
+    api: { getAll: async () => items },
+    outDir,
+    ...options,
+  });
+}
+
+beforeEach(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'import-content-'));
+});
+
+afterEach(async () => {
+  await fs.rm(outDir, { recursive: true, force: true });
+});
+
+describe('importCollection', () => {
+  it('names drafts without a slug after generated_slug or the ID', async () => {
+    const report = await run([
+      project(1, { slug: '', generated_slug: 'first-draft' }),
+      project(2, { slug: '' }),
+      project(3),
+    ]);
+
+    expect(report.results.map(result => result.status)).toEqual(['written', 'written', 'written']);
+    expect((await fs.readdir(outDir)).sort()).toEqual(['2.md', 'first-draft.md', 'project-3.md']);
+  });
+
+  it('rejects path-like and duplicate slugs', async () => {
+    const report = await run([
+      project(1, { slug: '../escape' }),
+      project(2, { slug: '.hidden' }),
+      project(3, { slug: 'same' }),
+      project(4, { slug: '', generated_slug: 'same' }),
+    ]);
+
+    expect(report.results.map(result => result.status)).toEqual(['invalid', 'invalid', 'written', 'invalid']);
+    expect(report.results[3].issues[0]).toContain('item 3');
+    expect(await fs.readdir(outDir)).toEqual(['same.md']);
+    await expect(fs.access(path.join(outDir, '../escape.md'))).rejects.toThrow();
+  });
+
+  it('escapes MDX braces outside code only', async () => {
+    const html = [
+      '<p>Set {count} to <code>{ a: 1 }</code></p>',
+      '<pre><code class="language-js">const o = { b: 2 };\n</code></pre>',
+      '<p style="color: red">Done}</p>',
+    ].join('');
+    await run([project(1, { content: { rendered: html } })], { format: 'mdx' });
+
+    const body = (await fs.readFile(path.join(outDir, 'project-1.mdx'), 'utf8')).split('---\n').pop();
+    expect(body).toContain('Set \\{count\\} to `{ a: 1 }`');
+    expect(body).toContain('```js\nconst o = { b: 2 };\n```');
+    expect(body).toContain('Done\\}');
+    expect(body).not.toContain('style=');
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'node:http';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import { createPreviewPath, getPreviewItem, signPreview, verifyPreviewRequest } from '../src/lib/preview';
+import PreviewRoute from '../src/preview/PreviewRoute.astro';
+
+const SECRET = 'test-secret';
+
+function post(id, fields = {}) {
+  return {
+    id,
+    slug: 'post-' + id,
+    status: 'draft',
+    type: 'post',
+    date: '2024-01-01T10:00:00',
+    modified_gmt: '2024-01-01T10:00:00',
+    title: { rendered: 'Live title ' + id },
+    content: { rendered: '<p>Live content ' + id + '</p>' },
+    excerpt: { rendered: '' },
+    author: 1,
+    featured_media: 0,
+    categories: [],
+    tags: [],
+    ...fields,
+  };
+}
+
+// Mock WordPress: items by ID, slug queries, autosaves and revisions
+const POSTS = [
+  post(10, { yoast_head_json: { title: 'SEO title', og_title: 'SEO social title' } }),
+  post(11, { status: 'publish', modified_gmt: '2024-03-01T10:00:00' }),
+  post(12, { status: 'trash' }),
+];
+const AUTOSAVES = {
+  10: [{ id: 101, modified_gmt: '2024-02-01T10:00:00', title: { rendered: 'Autosaved title' }, content: { rendered: '<p>Autosaved content</p>' } }],
+  11: [{ id: 111, modified_gmt: '2024-02-01T10:00:00', title: { rendered: 'Stale autosave' } }],
+};
+const REVISIONS = {
+  10: [{ id: 100, modified_gmt: '2024-01-15T10:00:00', title: { rendered: 'Older revision' } }],
+};
+
+let server;
+let requests = [];
+
+function route(url) {
+  const match = url.pathname.match(/^\/wp-json\/wp\/v2\/posts(?:\/(\d+))?(?:\/(autosaves|revisions))?$/);
+  if (!match) return undefined;
+  const [, id, sub] = match;
+  if (sub === 'autosaves') return AUTOSAVES[Number(id)] || [];
+  if (sub === 'revisions') return REVISIONS[Number(id)] || [];
+  if (id) return POSTS.find(item => item.id === Number(id));
+  // Collection queries only return the statuses that were asked for
+  const statuses = (url.searchParams.get('status') || 'publish').split(',');
+  return POSTS.filter(item => item.slug === url.searchParams.get('slug') && statuses.includes(item.status));
+}
+
+function signedUrl(type, id, expires, token = signPreview(type, id, expires, SECRET)) {
+  return new URL(`http://localhost/preview/${type}/${id}?expires=${expires}&token=${token}`);
+}
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    requests.push(url);
+    const body = route(url);
+    res.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { code: 'rest_no_route' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.WP_API_URL = `http://127.0.0.1:${server.address().port}/wp-json`;
+  process.env.WP_JWT_TOKEN = 'editor-token';
+  process.env.WP_PREVIEW_SECRET = SECRET;
+  process.env.WP_CACHE = 'off';
+  process.env.WP_RETRIES = '0';
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe('verifyPreviewRequest', () => {
+  it('accepts links from createPreviewPath', () => {
+    const url = new URL(createPreviewPath('post', 10), 'http://localhost');
+    expect(verifyPreviewRequest('post', '10', url)).toEqual({ valid: true });
+  });
+
+  it('rejects expired links even when the signature matches', () => {
+    const expires = Math.floor(Date.now() / 1000) - 1;
+    expect(verifyPreviewRequest('post', '10', signedUrl('post', '10', expires))).toEqual({ valid: false, reason: 'Preview link has expired' });
+  });
+
+  it('rejects tampered tokens, ids and expiry times', () => {
+    const expires = inAnHour();
+    const token = signPreview('post', '10', expires, SECRET);
+    const flipped = (token[0] === 'a' ? 'b' : 'a') + token.slice(1);
+    const invalid = { valid: false, reason: 'Invalid preview token' };
+
+    expect(verifyPreviewRequest('post', '10', signedUrl('post', '10', expires, flipped))).toEqual(invalid);
+    expect(verifyPreviewRequest('post', '10', signedUrl('post', '10', expires, token.slice(0, 32)))).toEqual(invalid);
+    expect(verifyPreviewRequest('post', '10', signedUrl('post', '10', expires, 'not-hex'))).toEqual(invalid);
+    expect(verifyPreviewRequest('post', '11', signedUrl('post', '11', expires, token))).toEqual(invalid);
+    expect(verifyPreviewRequest('page', '10', signedUrl('page', '10', expires, token))).toEqual(invalid);
+    expect(verifyPreviewRequest('post', '10', signedUrl('post', '10', expires + 60, token))).toEqual(invalid);
+    expect(verifyPreviewRequest('post', '10', new URL('http://localhost/preview/post/10'))).toEqual({ valid: false, reason: 'Missing preview token' });
+  });
+});
+
+describe('getPreviewItem', () => {
+  it('applies the newest autosave or revision', async () => {
+    const item = await getPreviewItem('post', '10');
+    expect(item.title.rendered).toBe('Autosaved title');
+    expect(item.content.rendered).toBe('<p>Autosaved content</p>');
+    expect(item.excerpt.rendered).toBe('');
+    expect(item.modified_gmt).toBe('2024-02-01T10:00:00');
+  });
+
+  it('keeps the live content when revisions are older', async () => {
+    const item = await getPreviewItem('post', '11');
+    expect(item.title.rendered).toBe('Live title 11');
+  });
+
+  it('looks up slugs with the preview statuses only', async () => {
+    const item = await getPreviewItem('post', 'post-10');
+    expect(item.id).toBe(10);
+    const query = requests.find(url => url.searchParams.has('slug'));
+    expect(query?.searchParams.get('status')?.split(',').sort()).toEqual(['draft', 'future', 'pending', 'private', 'publish']);
+    expect(await getPreviewItem('post', 'post-12')).toBeNull();
+  });
+
+  it('refuses statuses outside the allow-list when fetching by id', async () => {
+    expect(await getPreviewItem('post', '12')).toBeNull();
+    expect(requests.some(url => url.pathname.endsWith('/12/autosaves'))).toBe(false);
+  });
+
+  it('returns null for unknown items', async () => {
+    expect(await getPreviewItem('post', '404')).toBeNull();
+  });
+});
+
+describe('PreviewRoute', () => {
+  let container;
+
+  beforeAll(async () => {
+    container = await AstroContainer.create();
+  });
+
+  const render = (type, id, url) =>
+    container.renderToResponse(PreviewRoute, { params: { type, id }, request: new Request(url) });
+
+  it('renders the revision with a status banner and no-index headers', async () => {
+    const response = await render('post', '10', signedUrl('post', '10', inAnHour()));
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-Robots-Tag')).toBe('noindex, nofollow');
+    expect(response.headers.get('Cache-Control')).toBe('private, no-store');
+    expect(html).toContain('Autosaved title');
+    expect(html).toContain('Autosaved content');
+    expect(html).toMatch(/Preview<\/strong> &middot; Post &middot; Draft &middot;/);
+    // The route's explicit title wins over the SEO plugin's
+    expect(html).toContain('<title>Preview: Autosaved title</title>');
+    expect(html).toContain('<meta property="og:title" content="Preview: Autosaved title">');
+  });
+
+  it('rejects bad signatures before fetching anything', async () => {
+    const expired = await render('post', '10', signedUrl('post', '10', Math.floor(Date.now() / 1000) - 1));
+    const tampered = await render('post', '11', signedUrl('post', '11', inAnHour(), signPreview('post', '10', inAnHour(), SECRET)));
+
+    expect(expired.status).toBe(401);
+    expect(await expired.text()).toBe('Preview link has expired');
+    expect(tampered.status).toBe(401);
+    expect(requests).toEqual([]);
+  });
+
+  it('answers 404 for unknown types and statuses that cannot be previewed', async () => {
+    const unknownType = await render('toString', '10', signedUrl('toString', '10', inAnHour()));
+    const trashed = await render('post', '12', signedUrl('post', '12', inAnHour()));
+
+    expect(unknownType.status).toBe(404);
+    expect(trashed.status).toBe(404);
+  });
+});
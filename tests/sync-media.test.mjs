@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { syncMedia, toOriginalUrl } from '../scripts/sync-media.mjs';
+
+const UPLOADS = '/wp-content/uploads/2024/01/';
+
+// Upload files that exist on the fixture server; each serves its own path
+const FILES = [
+  'photo.jpg',
+  'photo-300x200.jpg',
+  'banner-1200x800.jpg',
+  'banner-1200x800-300x200.jpg',
+  'logo.png',
+  'logo-1200x800.png',
+  'hero-1200x800.png',
+];
+
+let server;
+let baseUrl;
+let tmpDir;
+const requests = [];
+
+function attachment(id, file, sizes = {}) {
+  return {
+    id,
+    source_url: baseUrl + UPLOADS + file,
+    modified_gmt: '2024-01-01T00:00:00',
+    media_details: {
+      sizes: Object.fromEntries(Object.entries(sizes).map(([name, sizeFile]) => [name, { source_url: baseUrl + UPLOADS + sizeFile }])),
+    },
+  };
+}
+
+function route(pathname) {
+  if (pathname === '/wp-json/wp/v2/types') {
+    return { post: { rest_base: 'posts' }, attachment: { rest_base: 'media' } };
+  }
+  if (pathname === '/wp-json/wp/v2/media') {
+    return [
+      attachment(1, 'photo.jpg', { medium: 'photo-300x200.jpg' }),
+      // An original whose real file name looks like a size variant
+      attachment(2, 'banner-1200x800.jpg', { medium: 'banner-1200x800-300x200.jpg' }),
+      attachment(3, 'logo.png'),
+      // A malformed escape in the file name
+      attachment(4, 'broken-%E0%A4%A.jpg'),
+    ];
+  }
+  if (pathname === '/wp-json/wp/v2/posts') {
+    const img = (file) => `<img src="${baseUrl + UPLOADS + file}">`;
+    return [{
+      id: 10,
+      featured_media: 1,
+      content: {
+        rendered: [
+          img('photo-300x200.jpg'),
+          img('banner-1200x800.jpg'),
+          // Not a size of logo.png, a separate upload
+          img('logo-1200x800.png'),
+          // Not in the library; hero.png does not exist
+          img('hero-1200x800.png'),
+        ].join('\n'),
+      },
+      excerpt: { rendered: '' },
+    }];
+  }
+  return null;
+}
+
+function localFile(map, url) {
+  const [file] = Object.entries(map.files).find(([, entry]) => entry.url === url) || [];
+  return file && path.join(tmpDir, 'media', path.basename(file));
+}
+
+beforeAll(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-media-'));
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, baseUrl);
+    requests.push(pathname);
+    const json = route(pathname);
+    if (json) {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': '1' });
+      res.end(JSON.stringify(json));
+    } else if (pathname.startsWith(UPLOADS) && FILES.includes(pathname.slice(UPLOADS.length))) {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(pathname);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = 'http://127.0.0.1:' + server.address().port;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('toOriginalUrl', () => {
+  const item = {
+    source_url: 'https://example.com' + UPLOADS + 'banner-1200x800.jpg',
+    media_details: { sizes: { medium: { source_url: 'https://example.com' + UPLOADS + 'banner-1200x800-300x200.jpg' } } },
+  };
+
+  it('strips the size suffix without an attachment', () => {
+    expect(toOriginalUrl('https://example.com' + UPLOADS + 'image-1024x585.png?ver=2')).toBe('https://example.com' + UPLOADS + 'image.png');
+  });
+
+  it('maps only listed sizes to the attachment', () => {
+    expect(toOriginalUrl(item.media_details.sizes.medium.source_url, item)).toBe(item.source_url);
+    expect(toOriginalUrl(item.source_url, item)).toBe(item.source_url);
+  });
+});
+
+describe('syncMedia', () => {
+  const run = () => syncMedia({
+    apiUrl: baseUrl + '/wp-json',
+    mediaDir: path.join(tmpDir, 'media'),
+    publicDir: path.join(tmpDir, 'public'),
+    mapFile: path.join(tmpDir, 'media-map.json'),
+    concurrency: 2,
+  });
+
+  it('downloads each original once and maps its variants', async () => {
+    const stats = await run();
+    expect(stats).toMatchObject({ downloaded: 5, failed: 1, total: 6 });
+    expect(stats.report.missing).toEqual([]);
+    expect(stats.report.collisions).toEqual([]);
+
+    const map = JSON.parse(await fs.readFile(path.join(tmpDir, 'media-map.json'), 'utf8'));
+    const entries = Object.values(map.files);
+    expect(entries.find(entry => entry.id === 1).variants).toContain(baseUrl + UPLOADS + 'photo-300x200.jpg');
+    expect(entries.find(entry => entry.id === 2).url).toBe(baseUrl + UPLOADS + 'banner-1200x800.jpg');
+    expect(entries.find(entry => entry.id === 4)).toBeUndefined();
+
+    // Originals named like size variants are fetched under their own name
+    expect(requests).not.toContain(UPLOADS + 'banner.jpg');
+    for (const file of ['banner-1200x800.jpg', 'logo-1200x800.png']) {
+      const local = localFile(map, baseUrl + UPLOADS + file);
+      expect(await fs.readFile(local, 'utf8')).toBe(UPLOADS + file);
+    }
+
+    // Inline-only uploads fall back to the referenced URL when the guess 404s
+    const hero = entries.find(entry => entry.variants.includes(baseUrl + UPLOADS + 'hero-1200x800.png'));
+    expect(await fs.readFile(localFile(map, hero.url), 'utf8')).toBe(UPLOADS + 'hero-1200x800.png');
+  });
+
+  it('skips unchanged uploads on the next run', async () => {
+    const stats = await run();
+    expect(stats).toMatchObject({ downloaded: 0, unchanged: 5, failed: 1 });
+  });
+});
@@ -0,0 +1,11 @@
+import { getViteConfig } from 'astro/config';
+
+// Runs tests through Astro's Vite setup so src/lib modules resolve
+// import.meta.env and JSON imports the same way they do in a build
+export default getViteConfig({
+  test: {
+    include: ['tests/**/*.test.{ts,mjs}'],
+    environment: 'node',
+    testTimeout: 20000,
+  },
+});